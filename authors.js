@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+/**
+ * Normalize an author value for comparison and caching
+ */
+function normalizeAuthor(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether an author value is an email address
+ */
+function isEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+/**
+ * Check whether a user matches an author value by login, email, display name or nicename
+ */
+function matchesUser(user, key) {
+  return [user.username, user.email, user.name, user.slug]
+    .some(field => normalizeAuthor(field) === key);
+}
+
+/**
+ * Create the author resolver of a run
+ * Lookups are cached for the whole run, and rows asking for the same author share one request.
+ * options.createMissing creates users that do not exist yet (only possible for email addresses,
+ * since WordPress requires one); options.dryRun only records the creation in the row's plan.
+ */
+export function createAuthorResolver(apiInstance, { createMissing = false, dryRun = false } = {}) {
+  const cache = new Map();
+
+  const findUser = async (value) => {
+    // context=edit exposes username and email, which the default view hides
+    const response = await apiInstance.get('/users', {
+      params: { search: value, per_page: 100, context: 'edit' },
+    });
+    const key = normalizeAuthor(value);
+    return (response.data || []).find(user => matchesUser(user, key)) || null;
+  };
+
+  const createUser = async (email) => {
+    const response = await apiInstance.post('/users', {
+      username: email.split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '') || email,
+      email,
+      password: crypto.randomBytes(24).toString('base64'),
+      roles: ['author'],
+    });
+    return response.data;
+  };
+
+  const lookup = async (value) => {
+    const user = await findUser(value);
+    if (user) return { id: user.id, created: false };
+
+    if (!createMissing) {
+      return { error: `Author "${value}" not found. Use an existing login, email or display name` };
+    }
+    if (!isEmail(value)) {
+      return { error: `Author "${value}" not found and cannot be created without an email address` };
+    }
+    if (dryRun) return { id: null, created: true };
+
+    const created = await createUser(value);
+    console.log(`   👤 Created author "${value}" (ID: ${created.id})`);
+    return { id: created.id, created: true };
+  };
+
+  return {
+    /**
+     * Resolve an author value to a user ID; plan (dry runs) receives "would create author" entries
+     * Throws when the user does not exist and cannot be created
+     */
+    async resolve(value, plan = null) {
+      const key = normalizeAuthor(value);
+      if (!cache.has(key)) {
+        const pending = lookup(value.trim());
+        // A request that failed is not cached, so a later row can try again; a missing user is
+        pending.catch(() => cache.delete(key));
+        cache.set(key, pending);
+      }
+      const author = await cache.get(key);
+      if (author.error) {
+        throw new Error(author.error);
+      }
+      if (author.created && dryRun) {
+        plan?.push(`would create author "${value.trim()}"`);
+      }
+      return author.id;
+    },
+  };
+}
@@ -0,0 +1,358 @@
+// Elements without a closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// Elements whose content is raw text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+// Phrasing elements that make up a paragraph's text
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i', 'ins', 'kbd',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+]);
+// Block-level elements that end an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'header', 'hr', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+const TAG = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parse the attributes of a start tag into a Map of lowercase name -> raw (still entity-encoded) value
+ */
+function parseAttributes(source) {
+  const attributes = new Map();
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attributes.set(match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Parse HTML into a light node tree: { type: 'element', tag, attributes, children, start, end, innerStart, innerEnd },
+ * { type: 'text', start, end } and { type: 'comment', start, end }, with offsets into the source.
+ * Tolerates the usual sloppiness (unclosed <p>, <li> and table cells, stray end tags) but is no full HTML5 parser.
+ */
+function parseHtml(html) {
+  const root = { type: 'element', tag: '#root', attributes: new Map(), children: [], innerStart: 0 };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const close = (node, innerEnd, end) => {
+    node.innerEnd = innerEnd;
+    node.end = end;
+  };
+  // Implicitly close open elements down to (and including) the nearest one matching the tags
+  const closeOpen = (tags, position, stopAt = []) => {
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      if (stopAt.includes(stack[depth].tag)) return;
+      if (tags.includes(stack[depth].tag)) {
+        while (stack.length > depth) close(stack.pop(), position, position);
+        return;
+      }
+    }
+  };
+  const addText = (start, end) => {
+    if (end > start) current().children.push({ type: 'text', start, end });
+  };
+
+  let position = 0;
+  TAG.lastIndex = 0;
+  let match;
+  while ((match = TAG.exec(html))) {
+    addText(position, match.index);
+    position = TAG.lastIndex;
+    const [source, slash, name, attributeSource, selfClosing] = match;
+
+    if (source.startsWith('<!--')) {
+      current().children.push({ type: 'comment', start: match.index, end: position });
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (slash) {
+      const depth = stack.map(node => node.tag).lastIndexOf(tag);
+      // A stray end tag is dropped, as browsers do
+      if (depth > 0) {
+        while (stack.length > depth + 1) close(stack.pop(), match.index, match.index);
+        close(stack.pop(), match.index, position);
+      }
+      continue;
+    }
+
+    if (CLOSES_PARAGRAPH.has(tag)) closeOpen(['p'], match.index, ['li', 'td', 'th', 'blockquote', 'figure', 'div']);
+    if (tag === 'li') closeOpen(['li'], match.index, ['ul', 'ol']);
+    if (tag === 'td' || tag === 'th') closeOpen(['td', 'th'], match.index, ['tr', 'table']);
+    if (tag === 'tr') closeOpen(['tr'], match.index, ['table', 'thead', 'tbody', 'tfoot']);
+    if (['thead', 'tbody', 'tfoot'].includes(tag)) closeOpen(['thead', 'tbody', 'tfoot'], match.index, ['table']);
+
+    const node = {
+      type: 'element',
+      tag,
+      attributes: parseAttributes(attributeSource),
+      children: [],
+      start: match.index,
+      innerStart: position,
+    };
+    current().children.push(node);
+
+    if (VOID_ELEMENTS.has(tag) || selfClosing) {
+      close(node, position, position);
+    } else if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const endTag = html.toLowerCase().indexOf(`</${tag}`, position);
+      const innerEnd = endTag === -1 ? html.length : endTag;
+      const end = endTag === -1 ? html.length : html.indexOf('>', endTag) + 1 || html.length;
+      close(node, innerEnd, end);
+      position = end;
+      TAG.lastIndex = end;
+    } else {
+      stack.push(node);
+    }
+  }
+  addText(position, html.length);
+  while (stack.length > 1) close(stack.pop(), html.length, html.length);
+  close(root, html.length, html.length);
+  return root;
+}
+
+/**
+ * Serialize a block: comment delimiters around its saved HTML
+ */
+function serializeBlock(name, attributes, content) {
+  const json = attributes && Object.keys(attributes).length > 0 ? ` ${JSON.stringify(attributes)}` : '';
+  return `<!-- wp:${name}${json} -->\n${content}\n<!-- /wp:${name} -->`;
+}
+
+/**
+ * Re-quote a raw attribute value for a double-quoted attribute
+ */
+function quoteAttribute(value) {
+  return `"${value.replace(/"/g, '&quot;')}"`;
+}
+
+/**
+ * Create the converter for one HTML document
+ * Every convert* function returns the serialized block, or null when the markup does not map onto
+ * a core block exactly (unknown attributes, unexpected children), which leaves it to a Classic block
+ */
+function createConverter(html) {
+  const outer = node => html.slice(node.start, node.end);
+  const inner = node => html.slice(node.innerStart, node.innerEnd);
+  const isBlank = node => node.type === 'text' && !html.slice(node.start, node.end).trim();
+  const meaningful = nodes => nodes.filter(node => !isBlank(node));
+  const isElement = (node, ...tags) => node?.type === 'element' && tags.includes(node.tag);
+  const hasOnly = (node, ...allowed) => [...node.attributes.keys()].every(name => allowed.includes(name));
+  // Text, comments and inline elements, all the way down
+  const isInline = node => node.type !== 'element' || (INLINE_ELEMENTS.has(node.tag) && node.children.every(isInline));
+
+  // An <img>, or an <img> wrapped in a link, standing on its own
+  const getImage = (nodes) => {
+    const [only, ...rest] = meaningful(nodes);
+    if (rest.length > 0) return null;
+    if (isElement(only, 'img')) return { img: only, link: null };
+    if (isElement(only, 'a')) {
+      const [img, ...others] = meaningful(only.children);
+      if (others.length === 0 && isElement(img, 'img')) return { img, link: only };
+    }
+    return null;
+  };
+
+  const convertImage = ({ img, link }, caption = null) => {
+    const src = img.attributes.get('src');
+    if (!src || (link && !hasOnly(link, 'href'))) return null;
+    if (caption && !hasOnly(caption, 'class')) return null;
+
+    // Media library images carry their attachment ID in a wp-image-<id> class, and the Classic editor's alignment
+    const classes = img.attributes.get('class') || '';
+    const id = classes.match(/\bwp-image-(\d+)\b/)?.[1];
+    const align = classes.match(/\balign(left|right|center)\b/)?.[1];
+    const attributes = {};
+    if (id) attributes.id = parseInt(id, 10);
+    if (align) attributes.align = align;
+    if (link) attributes.linkDestination = 'custom';
+
+    let image = `<img src=${quoteAttribute(src)} alt=${quoteAttribute(img.attributes.get('alt') || '')}${id ? ` class="wp-image-${id}"` : ''}/>`;
+    if (link) image = `<a href=${quoteAttribute(link.attributes.get('href') || '')}>${image}</a>`;
+    const figcaption = caption ? `<figcaption class="wp-element-caption">${inner(caption).trim()}</figcaption>` : '';
+    return serializeBlock('image', attributes, `<figure class="wp-block-image${align ? ` align${align}` : ''}">${image}${figcaption}</figure>`);
+  };
+
+  const convertParagraph = (node) => {
+    if (node.attributes.size > 0) return null;
+    const image = getImage(node.children);
+    if (image) return convertImage(image);
+    if (!node.children.every(isInline)) return null;
+    const content = inner(node).trim();
+    return content ? serializeBlock('paragraph', null, `<p>${content}</p>`) : '';
+  };
+
+  const convertHeading = (node) => {
+    if (node.attributes.size > 0 || !node.children.every(isInline)) return null;
+    const level = parseInt(node.tag.slice(1), 10);
+    const content = inner(node).trim();
+    if (!content) return '';
+    return serializeBlock('heading', level === 2 ? null : { level }, `<${node.tag} class="wp-block-heading">${content}</${node.tag}>`);
+  };
+
+  const convertList = (node) => {
+    if (!hasOnly(node, 'start')) return null;
+    const items = meaningful(node.children);
+    if (!items.every(item => isElement(item, 'li') && item.attributes.size === 0)) return null;
+
+    const listItems = [];
+    for (const item of items) {
+      // Text first, then optionally one nested list
+      const children = meaningful(item.children);
+      const nested = isElement(children[children.length - 1], 'ul', 'ol') ? children.pop() : null;
+      if (!children.every(isInline)) return null;
+      const text = children.length > 0 ? html.slice(children[0].start, children[children.length - 1].end).trim() : '';
+      const nestedBlock = nested ? convertList(nested) : '';
+      if (nestedBlock === null) return null;
+      listItems.push(serializeBlock('list-item', null, `<li>${text}${nestedBlock}</li>`));
+    }
+
+    const attributes = {};
+    if (node.tag === 'ol') attributes.ordered = true;
+    const start = parseInt(node.attributes.get('start'), 10);
+    if (node.tag === 'ol' && Number.isInteger(start)) attributes.start = start;
+    const startAttribute = attributes.start !== undefined ? ` start="${attributes.start}"` : '';
+    return serializeBlock('list', attributes, `<${node.tag}${startAttribute} class="wp-block-list">${listItems.join('\n\n')}</${node.tag}>`);
+  };
+
+  const convertQuote = (node) => {
+    if (node.attributes.size > 0) return null;
+    const children = meaningful(node.children);
+    // A trailing <cite> (or <footer>) is the quote's citation
+    const citation = isElement(children[children.length - 1], 'cite', 'footer') ? children.pop() : null;
+    const items = convertNodes(children);
+    if (items.some(item => item.classic)) return null;
+    const cite = citation ? `<cite>${inner(citation).trim()}</cite>` : '';
+    return serializeBlock('quote', null, `<blockquote class="wp-block-quote">${items.map(item => item.block).join('\n\n')}${cite}</blockquote>`);
+  };
+
+  const convertTable = (node, caption = null) => {
+    if (node.attributes.size > 0 || (caption && !hasOnly(caption, 'class'))) return null;
+    const sections = { thead: [], tbody: [], tfoot: [] };
+    let tableCaption = caption;
+
+    const addRow = (section, row) => {
+      if (!isElement(row, 'tr') || row.attributes.size > 0) return false;
+      const cells = meaningful(row.children);
+      if (!cells.every(cell => isElement(cell, 'td', 'th') && hasOnly(cell, 'colspan', 'rowspan', 'scope'))) return false;
+      sections[section].push(`<tr>${cells.map(cell => {
+        const attributes = ['scope', 'colspan', 'rowspan']
+          .filter(name => cell.attributes.has(name))
+          .map(name => ` ${name}=${quoteAttribute(cell.attributes.get(name))}`)
+          .join('');
+        return `<${cell.tag}${attributes}>${inner(cell).trim()}</${cell.tag}>`;
+      }).join('')}</tr>`);
+      return true;
+    };
+
+    for (const child of meaningful(node.children)) {
+      if (isElement(child, 'caption') && !tableCaption) {
+        tableCaption = child;
+      } else if (isElement(child, 'thead', 'tbody', 'tfoot') && child.attributes.size === 0) {
+        if (!meaningful(child.children).every(row => addRow(child.tag, row))) return null;
+      } else if (!addRow('tbody', child)) {
+        return null;
+      }
+    }
+
+    const table = Object.entries(sections)
+      .filter(([, rows]) => rows.length > 0)
+      .map(([section, rows]) => `<${section}>${rows.join('')}</${section}>`)
+      .join('');
+    const figcaption = tableCaption ? `<figcaption class="wp-element-caption">${inner(tableCaption).trim()}</figcaption>` : '';
+    // Auto layout, like the HTML table it came from
+    return serializeBlock('table', { hasFixedLayout: false }, `<figure class="wp-block-table"><table>${table}</table>${figcaption}</figure>`);
+  };
+
+  const convertFigure = (node) => {
+    const children = meaningful(node.children);
+    const caption = isElement(children[children.length - 1], 'figcaption') ? children.pop() : null;
+    const image = getImage(children);
+    if (image) return convertImage(image, caption);
+    if (children.length === 1 && isElement(children[0], 'table')) return convertTable(children[0], caption);
+    return null;
+  };
+
+  const convertElement = (node) => {
+    if (node.tag === 'p') return convertParagraph(node);
+    if (/^h[1-6]$/.test(node.tag)) return convertHeading(node);
+    if (node.tag === 'ul' || node.tag === 'ol') return convertList(node);
+    if (node.tag === 'blockquote') return convertQuote(node);
+    if (node.tag === 'table') return convertTable(node);
+    if (node.tag === 'figure') return convertFigure(node);
+    return null;
+  };
+
+  /**
+   * Convert sibling nodes into a list of { block } and { classic } items
+   * Loose text and inline elements become paragraphs, split on blank lines as the Classic editor does
+   */
+  function convertNodes(nodes) {
+    const items = [];
+    let loose = [];
+
+    const flushLoose = () => {
+      if (loose.length === 0) return;
+      const text = html.slice(loose[0].start, loose[loose.length - 1].end);
+      loose = [];
+      for (const paragraph of text.split(/\n\s*\n/)) {
+        const content = paragraph.trim();
+        if (content && !/^(?:<br\s*\/?>\s*)+$/i.test(content)) {
+          items.push({ block: serializeBlock('paragraph', null, `<p>${content}</p>`) });
+        }
+      }
+    };
+
+    for (const node of nodes) {
+      const image = isElement(node, 'img', 'a') ? getImage([node]) : null;
+      if (!image && node.type !== 'comment' && isInline(node)) {
+        loose.push(node);
+        continue;
+      }
+      flushLoose();
+      const block = image ? convertImage(image) : node.type === 'element' ? convertElement(node) : null;
+      if (block === null) {
+        items.push({ classic: outer(node) });
+      } else if (block) {
+        items.push({ block });
+      }
+    }
+    flushLoose();
+    return items;
+  }
+
+  return { convertNodes };
+}
+
+/**
+ * Convert HTML into serialized core blocks (paragraph, heading, image, list, quote, table)
+ * so the post opens in the block editor ready to edit. Markup that does not map onto one of these
+ * blocks is kept as-is in a Classic block, next to the converted ones.
+ * Content that already holds block markup is returned unchanged.
+ */
+export function convertToBlocks(html) {
+  if (!html || !html.trim() || /<!--\s+wp:/.test(html)) return html;
+
+  const { convertNodes } = createConverter(html);
+  const output = [];
+  let classic = [];
+  // Neighbouring unconverted markup shares one Classic block (serialized as plain HTML between blocks)
+  const flushClassic = () => {
+    const content = classic.join('\n').trim();
+    if (content) output.push(content);
+    classic = [];
+  };
+
+  for (const item of convertNodes(parseHtml(html).children)) {
+    if (item.classic !== undefined) {
+      classic.push(item.classic);
+    } else {
+      flushClassic();
+      output.push(item.block);
+    }
+  }
+  flushClassic();
+  return output.join('\n\n');
+}
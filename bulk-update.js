@@ -1,11 +1,29 @@
 import axios from 'axios';
-import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import mime from 'mime-types';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { validateRows, formatValidationErrors, createValidationError } from './csv-validation.js';
+import { openJournal, resumedResult } from './run-journal.js';
+import { getSiteLimiter, attachRateLimiter, runPool } from './concurrency.js';
+import { attachRetry, withRetryTracking } from './retry.js';
+import { getClientConfig } from './clients.js';
+import { CONTENT_FORMATS, getContentFormat, formatContent } from './markdown.js';
+import { convertToBlocks } from './blocks.js';
+import { loadInput } from './input-files.js';
+import { getColumnProfile } from './column-profiles.js';
+import { openMediaCache } from './media-cache.js';
+import { uploadMedia, rehostContentImages, getFeaturedImageDetails, updateMediaDetails } from './media.js';
+import { resolvePostDate, checkScheduledDate, toGmtString, formatInTimeZone, getPostDate } from './post-dates.js';
+import { createAuthorResolver } from './authors.js';
+import { resolveTerms } from './terms.js';
+import { loadPostTypes, resolveRowTypes, DEFAULT_POST_TYPE } from './post-types.js';
+import { SEO_PLUGINS, parseBoolean, detectSeoPlugin, checkSeoSupport, buildSeoMeta, getIgnoredMetaKeys } from './seo.js';
+import { parseJsonObject, buildRowMeta } from './post-meta.js';
+import { createParentResolver } from './page-parents.js';
+import { buildPostIndexes, countIndexedPosts } from './post-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,50 +31,27 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-/**
- * Parse and get client configuration
- * CTS-only mode: uses single-client configuration (WP_SITE, WP_USER, WP_APP_PASSWORD)
- */
-function getClientConfig(clientId = null) {
-  // CTS-only: Always use single-client configuration
-  return {
-    wp_site: process.env.WP_SITE?.replace(/\/$/, '') || '',
-    wp_user: process.env.WP_USER || '',
-    wp_app_password: process.env.WP_APP_PASSWORD || '',
-    default_status: process.env.DEFAULT_STATUS || 'draft',
-    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
-    name: 'CTS',
-  };
-}
-
-/**
- * Get all available clients
- * CTS-only mode: returns empty array (no client selection needed)
- */
-export function getAvailableClients() {
-  return [];
+// Get default client config (WP_SITE, DEFAULT_CLIENT or the first site of the client registry)
+let defaultConfig;
+try {
+  defaultConfig = getClientConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
-
-// Get default client config
-const defaultConfig = getClientConfig();
 const WP_SITE = defaultConfig.wp_site;
 const WP_USER = defaultConfig.wp_user;
 const WP_APP_PASSWORD = defaultConfig.wp_app_password;
 const CSV_PATH = process.env.CSV_PATH || 'posts.csv';
 const REQUEST_DELAY_MS = defaultConfig.request_delay_ms;
 
-// Validate required config
-if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
-  console.error('❌ Missing required environment variables: WP_SITE, WP_USER, WP_APP_PASSWORD (or CLIENTS_CONFIG)');
-  process.exit(1);
-}
-
 /**
  * Create axios instance with auth for a specific client
+ * Requests go through the client site's shared rate limiter, and transient failures are retried
  */
 function createApiInstance(clientConfig) {
   const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
-  return axios.create({
+  const instance = axios.create({
     baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
     headers: {
       'Authorization': `Basic ${auth}`,
@@ -64,6 +59,8 @@ function createApiInstance(clientConfig) {
     },
     timeout: 30000,
   });
+  attachRateLimiter(instance, getSiteLimiter(clientConfig.wp_site, clientConfig.request_delay_ms, clientConfig.concurrency));
+  return attachRetry(instance, { maxRetries: clientConfig.max_retries });
 }
 
 // Default API instance (for backward compatibility)
@@ -76,18 +73,13 @@ const api = axios.create({
   },
   timeout: 30000,
 });
+attachRateLimiter(api, getSiteLimiter(WP_SITE, REQUEST_DELAY_MS, defaultConfig.concurrency));
+attachRetry(api, { maxRetries: defaultConfig.max_retries });
 
 // Logging
 let logResults = [];
 let startTime = Date.now();
 
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Prompt user for CSV file path
  */
@@ -110,36 +102,6 @@ function promptForCsvPath(defaultPath) {
   });
 }
 
-/**
- * Load and parse CSV file
- */
-async function loadCsv(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    const fullPath = path.isAbsolute(filePath) 
-      ? filePath 
-      : path.resolve(__dirname, filePath);
-    
-    if (!fs.existsSync(fullPath)) {
-      reject(new Error(`CSV file not found: ${fullPath}`));
-      return;
-    }
-
-    fs.createReadStream(fullPath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
-}
-
-/**
- * Check WordPress REST API connectivity
- */
-async function checkConnectivity() {
-  return checkConnectivityWithApi(api, WP_SITE);
-}
-
 /**
  * Check WordPress REST API connectivity with specific API instance
  */
@@ -164,145 +126,35 @@ async function checkConnectivityWithApi(apiInstance, siteUrl) {
 }
 
 /**
- * Get or create a taxonomy term (category or tag)
- */
-async function getOrCreateTerm(name, taxonomy = 'categories', apiInstance = api, clientConfig = null) {
-  if (!name || !name.trim()) return null;
-
-  const trimmedName = name.trim();
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-  
-  try {
-    const searchResponse = await currentApi.get(`/${taxonomy}`, {
-      params: { search: trimmedName, per_page: 100 },
-    });
-
-    const existing = searchResponse.data.find(
-      term => term.name.toLowerCase() === trimmedName.toLowerCase()
-    );
-
-    if (existing) {
-      return existing.id;
-    }
-
-    await sleep(config.request_delay_ms);
-    const createResponse = await currentApi.post(`/${taxonomy}`, {
-      name: trimmedName,
-    });
-
-    return createResponse.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Resolve multiple terms from comma-separated string
- */
-async function resolveTerms(termString, taxonomy, apiInstance = api, clientConfig = null) {
-  if (!termString || !termString.trim()) return [];
-
-  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
-  const termIds = [];
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  for (const name of names) {
-    const id = await getOrCreateTerm(name, taxonomy, currentApi, config);
-    if (id) {
-      termIds.push(id);
-    }
-    await sleep(config.request_delay_ms);
-  }
-
-  return termIds;
-}
-
-/**
- * Download image from URL
+ * Warn about meta keys WordPress dropped because they are not registered for the REST API
  */
-async function downloadImageFromUrl(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-    });
-    
-    return {
-      buffer: Buffer.from(response.data),
-      mimeType: response.headers['content-type'] || mime.lookup(imageUrl) || 'image/jpeg',
-      fileName: path.basename(new URL(imageUrl).pathname) || 'image.jpg',
-    };
-  } catch (error) {
-    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
-    return null;
+function warnIgnoredMeta(rowNumber, sentMeta, savedPost) {
+  const ignored = getIgnoredMetaKeys(sentMeta, savedPost);
+  if (ignored.length > 0) {
+    console.warn(`[${rowNumber}] ⚠️  Meta not saved (not registered for the REST API, see README): ${ignored.join(', ')}`);
   }
 }
 
 /**
- * Upload featured image to WordPress media library
+ * Log suffix with a row's effective publish date in the site time zone
  */
-async function uploadMedia(filePathOrUrl, apiInstance = api, clientConfig = null) {
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
-
-  let fileBuffer, fileName, mimeType;
-
-  if (filePathOrUrl.trim().startsWith('http://') || filePathOrUrl.trim().startsWith('https://')) {
-    const downloaded = await downloadImageFromUrl(filePathOrUrl.trim());
-    if (!downloaded) return null;
-    
-    fileBuffer = downloaded.buffer;
-    fileName = downloaded.fileName;
-    mimeType = downloaded.mimeType;
-  } else {
-    const fullPath = path.resolve(__dirname, filePathOrUrl);
-    
-    if (!fs.existsSync(fullPath)) {
-      console.error(`⚠️  Image file not found: ${fullPath}`);
-      return null;
-    }
-
-    fileBuffer = fs.readFileSync(fullPath);
-    fileName = path.basename(fullPath);
-    mimeType = mime.lookup(fullPath) || 'application/octet-stream';
-  }
-
-  try {
-    await sleep(config.request_delay_ms);
-    
-    const response = await currentApi.post('/media', fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    });
-
-    return response.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
-    if (error.response?.data) {
-      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
-    }
-    return null;
-  }
+function describePostDate(result, timeZone) {
+  if (!result.date) return '';
+  const label = result.status === 'future' ? 'scheduled for' : 'dated';
+  return ` (${label} ${formatInTimeZone(new Date(result.date), timeZone)})`;
 }
 
 /**
  * Find post by ID
+ * restBase selects the post type's collection (posts, pages, or a custom post type's REST base)
  */
-async function findPostById(postId, apiInstance = api) {
+async function findPostById(postId, apiInstance = api, restBase = 'posts') {
   if (!postId) return null;
 
   const currentApi = apiInstance || api;
 
   try {
-    const response = await currentApi.get(`/posts/${postId}`);
+    const response = await currentApi.get(`/${restBase}/${postId}`);
     return response.data.id;
   } catch (error) {
     if (error.response?.status === 404) {
@@ -313,108 +165,21 @@ async function findPostById(postId, apiInstance = api) {
   }
 }
 
-/**
- * Find post by slug
- */
-async function findPostBySlug(slug, apiInstance = api) {
-  if (!slug || !slug.trim()) return null;
-
-  const currentApi = apiInstance || api;
-
-  try {
-    const response = await currentApi.get('/posts', {
-      params: { slug: slug.trim(), per_page: 1 },
-    });
-
-    if (response.data && response.data.length > 0) {
-      return response.data[0].id;
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by slug "${slug}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Find post by title
- */
-async function findPostByTitle(title, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!title || !title.trim()) return null;
-
-  try {
-    const normalizeTitle = (str) => {
-      if (!str) return '';
-      return str
-        .replace(/<[^>]*>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .replace(/&#8217;/g, "'")
-        .replace(/&#8216;/g, "'")
-        .replace(/&#39;/g, "'")
-        .replace(/&#038;/g, '&')
-        .replace(/&[^;]+;/g, '')
-        .replace(/\s+/g, ' ')
-        .toLowerCase()
-        .trim();
-    };
-
-    const normalizedSearchTitle = normalizeTitle(title);
-    
-    let page = 1;
-    const perPage = 100;
-    let hasMore = true;
-
-    while (hasMore) {
-      const response = await currentApi.get('/posts', {
-        params: { 
-          per_page: perPage,
-          page: page,
-          status: 'any',
-          orderby: 'date',
-          order: 'desc'
-        },
-      });
-
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      for (const post of response.data) {
-        const postTitleRaw = post.title?.rendered || post.title?.raw || post.title || '';
-        const postTitleNormalized = normalizeTitle(postTitleRaw);
-        
-        if (postTitleNormalized === normalizedSearchTitle) {
-          return post.id;
-        }
-      }
-
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-        if (page > 10) {
-          console.log(`⚠️  Reached 1000 post limit. Stopping search.`);
-          hasMore = false;
-        }
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by title "${title}": ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Update an existing post
+ * options.postIndex is the run's index of existing posts (see post-index.js), used for slug and title lookups
+ * options.contentFormat is the run-level content format; a content_format column overrides it per row
+ * options.rehostImages uploads external <img> sources to the media library and rewrites them
+ * options.imageFolder is the Markdown folder being imported; images of its posts inside it are uploaded the same way
+ * options.convertBlocks turns the content's HTML into block editor blocks (see blocks.js)
+ * options.mediaCache is the site's media map (see media-cache.js), so shared images are uploaded once
+ * options.authors resolves the author column to user IDs (see authors.js)
+ * options.postType is the row's post type (see post-types.js); options.taxonomyColumns lists its tax:<taxonomy> columns
+ * options.seoPlugin is the detected SEO plugin (see seo.js) the seo_* columns are written for
+ * options.pageParents resolves the parent column to page IDs (see page-parents.js)
+ * With options.dryRun, the post is looked up and the update resolved but not sent; the result carries a plan instead
  */
-async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null) {
+async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null, options = {}) {
   // Use provided API instance or default
   const currentApi = apiInstance || api;
   const config = clientConfig || defaultConfig;
@@ -425,24 +190,31 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
     postId: null,
     status: null,
     error: null,
+    retries: 0,
   };
+  const termOptions = options.dryRun ? { dryRun: true, plan: [] } : {};
+  if (options.dryRun) {
+    result.plan = termOptions.plan;
+  }
+  const mediaOptions = { ...termOptions, mediaCache: options.mediaCache };
+  const postType = options.postType || DEFAULT_POST_TYPE;
 
   try {
     // Find the post to update - priority: post_id > slug > title
     let postId = null;
 
     if (row.post_id?.trim()) {
-      postId = await findPostById(row.post_id.trim(), currentApi);
+      postId = await findPostById(row.post_id.trim(), currentApi, postType.restBase);
       if (!postId) {
         throw new Error(`Post with ID "${row.post_id}" not found`);
       }
     } else if (row.slug?.trim()) {
-      postId = await findPostBySlug(row.slug.trim(), currentApi);
+      postId = options.postIndex.findBySlug(row.slug.trim());
       if (!postId) {
         throw new Error(`Post with slug "${row.slug}" not found`);
       }
     } else if (row.title?.trim()) {
-      postId = await findPostByTitle(row.title.trim(), currentApi);
+      postId = options.postIndex.findByTitle(row.title.trim());
       if (!postId) {
         throw new Error(`Post with title "${row.title}" not found`);
       }
@@ -453,7 +225,7 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
     result.postId = postId;
 
     // Get existing post to preserve fields not being updated
-    const existingPostResponse = await currentApi.get(`/posts/${postId}`);
+    const existingPostResponse = await currentApi.get(`/${postType.restBase}/${postId}`);
     const existingPost = existingPostResponse.data;
 
     // Prepare update data - only include fields that are provided
@@ -466,7 +238,10 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
 
     // Update content if provided
     if (row.content?.trim()) {
-      updateData.content = row.content.trim();
+      updateData.content = formatContent(row.content.trim(), getContentFormat(row, options.contentFormat));
+      if (options.convertBlocks) {
+        updateData.content = convertToBlocks(updateData.content);
+      }
     }
 
     // Update status if provided
@@ -484,19 +259,73 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       updateData.excerpt = row.excerpt.trim();
     }
 
-    // Handle ACF JSON
-    if (row.acf_json?.trim()) {
-      try {
-        const acfData = JSON.parse(row.acf_json);
-        updateData.acf = acfData;
-      } catch (parseError) {
-        console.error(`⚠️  Invalid ACF JSON in row ${rowNumber}: ${parseError.message}`);
+    // Update publish date if provided: `date` is read in the site time zone, `date_gmt` as UTC
+    const postDate = resolvePostDate(row, config.timezone);
+    if (postDate) {
+      updateData.date_gmt = toGmtString(postDate);
+    }
+    // When the row schedules the post or moves its date, check the date it ends up with
+    const scheduleError = (updateData.status || postDate) && checkScheduledDate(
+      updateData.status || existingPost.status,
+      postDate || (existingPost.date_gmt ? new Date(`${existingPost.date_gmt}Z`) : null)
+    );
+    if (scheduleError) {
+      throw new Error(scheduleError);
+    }
+
+    // Page attributes: parent (ID, slug or path), menu order and template
+    if (row.parent?.trim()) {
+      const parentId = await options.pageParents.resolve(row.parent, rowNumber, postType, termOptions.plan);
+      if (parentId !== null) {
+        updateData.parent = parentId;
       }
     }
+    if (row.menu_order?.trim()) {
+      updateData.menu_order = parseInt(row.menu_order.trim(), 10);
+    }
+    if (row.template?.trim()) {
+      updateData.template = row.template.trim();
+    }
+
+    // Core post fields: sticky, post format, discussion settings and password
+    if (row.sticky?.trim()) {
+      updateData.sticky = parseBoolean(row.sticky);
+    }
+    if (row.format?.trim()) {
+      updateData.format = row.format.trim().toLowerCase();
+    }
+    for (const column of ['comment_status', 'ping_status']) {
+      if (row[column]?.trim()) {
+        updateData[column] = row[column].trim().toLowerCase();
+      }
+    }
+    if (row.password?.trim()) {
+      updateData.password = row.password;
+    }
+
+    // Author: login, email or display name of an existing user
+    if (row.author?.trim()) {
+      const authorId = await options.authors.resolve(row.author, termOptions.plan);
+      if (authorId) {
+        updateData.author = authorId;
+      }
+    }
+
+    // ACF fields; invalid JSON fails the row
+    const acfData = parseJsonObject(row.acf_json, 'ACF JSON');
+    if (acfData) {
+      updateData.acf = acfData;
+    }
+
+    // Post meta from meta_json and meta:<key> columns, plus the SEO columns for the detected SEO plugin
+    const meta = { ...buildRowMeta(row), ...buildSeoMeta(row, options.seoPlugin) };
+    if (Object.keys(meta).length > 0) {
+      updateData.meta = meta;
+    }
 
     // Resolve categories if provided
     if (row.categories?.trim()) {
-      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, config);
+      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, termOptions);
       if (categoryIds.length > 0) {
         updateData.categories = categoryIds;
       }
@@ -504,34 +333,105 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
 
     // Resolve tags if provided
     if (row.tags?.trim()) {
-      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, config);
+      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, termOptions);
       if (tagIds.length > 0) {
         updateData.tags = tagIds;
       }
     }
 
+    // Resolve terms of custom taxonomies (tax:<taxonomy> columns); the field is the taxonomy's REST base
+    for (const taxonomy of options.taxonomyColumns || []) {
+      if (!row[taxonomy.column]?.trim()) continue;
+      const termIds = await resolveTerms(row[taxonomy.column], taxonomy.restBase, currentApi, { ...termOptions, hierarchical: taxonomy.hierarchical });
+      if (termIds.length > 0) {
+        updateData[taxonomy.restBase] = termIds;
+      }
+    }
+
     // Upload featured image if provided
     const imagePath = row.featured_image_path?.trim() || row.featured_image_url?.trim();
+    let featuredMedia = null;
     if (imagePath) {
-      const mediaId = await uploadMedia(imagePath, currentApi, config);
-      if (mediaId) {
-        updateData.featured_media = mediaId;
+      featuredMedia = await uploadMedia(imagePath, currentApi, config, mediaOptions);
+      if (featuredMedia) {
+        updateData.featured_media = featuredMedia.id;
+      } else if (!options.dryRun) {
+        // Fail the row rather than silently publishing without the image
+        throw new Error(`Failed to upload featured image "${imagePath}"`);
       }
     }
 
-    // Check if there's anything to update
-    if (Object.keys(updateData).length === 0) {
+    // Alt text, caption, title and description go to the new featured image,
+    // or to the post's current one when no image is given
+    const imageDetails = getFeaturedImageDetails(row);
+    let mediaUpdated = false;
+    if (Object.keys(imageDetails).length > 0) {
+      const targetMediaId = featuredMedia?.id || (imagePath ? null : existingPost.featured_media);
+      if (!imagePath && !targetMediaId) {
+        throw new Error(`Post ${postId} has no featured image to apply ${Object.keys(imageDetails).join(', ')} to`);
+      }
+      if (options.dryRun) {
+        result.plan.push(`would set image ${Object.keys(imageDetails).join(', ')}`);
+      } else if (featuredMedia?.reused) {
+        // The attachment is shared with the posts that uploaded it; their image details are kept
+        console.warn(`[${rowNumber}] ⚠️  Not setting ${Object.keys(imageDetails).join(', ')} on media ${featuredMedia.id}: the attachment is reused from another upload`);
+      } else {
+        // A newly uploaded image is attached to this post as well
+        await updateMediaDetails(targetMediaId, featuredMedia ? { ...imageDetails, post: postId } : imageDetails, currentApi);
+        mediaUpdated = true;
+      }
+    } else if (featuredMedia && !featuredMedia.reused) {
+      try {
+        await updateMediaDetails(featuredMedia.id, { post: postId }, currentApi);
+      } catch (error) {
+        // Only the media library's "Uploaded to" link is missing; the update itself can go ahead
+        console.warn(`[${rowNumber}] ⚠️  Could not attach media ${featuredMedia.id} to post ${postId}: ${error.message}`);
+      }
+    }
+
+    // Rehost external inline images so the post no longer hotlinks them, and upload the images a Markdown folder's posts use
+    if ((options.rehostImages || options.imageFolder) && updateData.content) {
+      updateData.content = await rehostContentImages(updateData.content, currentApi, config, { ...mediaOptions, external: options.rehostImages, imageFolder: options.imageFolder });
+    }
+
+    // Check if there's anything to update (in a dry run, planned terms/images count too)
+    if (Object.keys(updateData).length === 0 && !mediaUpdated && !(options.dryRun && result.plan.length > 0)) {
       throw new Error('No fields to update. Provide at least one field to update.');
     }
 
+    if (options.dryRun) {
+      result.action = 'would update';
+      result.status = updateData.status || existingPost.status;
+      if (postDate) {
+        result.date = postDate.toISOString();
+      }
+      result.plan.unshift(`would update ${postType.slug} ${postId} (${Object.keys(updateData).join(', ') || 'terms/media only'})${describePostDate(result, config.timezone)}`);
+      const message = `[${rowNumber}] 🔎 ${result.plan.join(', ')}: ${result.title}`;
+      console.log(message);
+      if (progressCallback) {
+        progressCallback({ 
+          type: 'success', 
+          message, 
+          rowNumber, 
+          postId: result.postId, 
+          title: result.title 
+        });
+      }
+      return result;
+    }
+
     // Perform the update
-    await sleep(config.request_delay_ms);
-    const updateResponse = await currentApi.post(`/posts/${postId}`, updateData);
+    const updateResponse = await currentApi.post(`/${postType.restBase}/${postId}`, updateData);
     
     result.action = 'updated';
     result.postId = updateResponse.data.id;
     result.status = updateResponse.data.status;
-    const message = `[${rowNumber}] ✅ Updated post ${result.postId}: ${result.title}`;
+    if (postDate || result.status === 'future') {
+      result.date = getPostDate(updateResponse.data);
+    }
+    options.postIndex?.add({ id: result.postId, title: updateData.title || existingPost.title, slug: updateResponse.data.slug, parent: updateResponse.data.parent });
+    warnIgnoredMeta(rowNumber, updateData.meta, updateResponse.data);
+    const message = `[${rowNumber}] ✅ Updated ${postType.slug} ${result.postId}: ${result.title}${describePostDate(result, config.timezone)}`;
     console.log(message);
     if (progressCallback) {
       progressCallback({ 
@@ -567,30 +467,87 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
  * Main execution
  */
 async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      site: { type: 'string' },
+      'content-format': { type: 'string', default: 'html' },
+      'rehost-images': { type: 'boolean', default: false },
+      blocks: { type: 'boolean', default: false },
+      'create-authors': { type: 'boolean', default: false },
+      'post-type': { type: 'string', default: 'post' },
+      sheet: { type: 'string' },
+      profile: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+  const dryRun = args['dry-run'];
+  const resume = args.resume;
+  const rehostImages = args['rehost-images'];
+  const convertBlocks = args.blocks;
+  const createAuthors = args['create-authors'];
+  const postType = args['post-type'];
+  const sheet = args.sheet;
+  const columnProfile = args.profile ? getColumnProfile(args.profile) : null;
+
+  // --site picks a site from the client registry; otherwise the default site is used
+  const clientConfig = args.site ? getClientConfig(args.site) : defaultConfig;
+  const clientApi = args.site ? createApiInstance(clientConfig) : api;
+  const concurrency = Math.max(1, parseInt(args.concurrency, 10) || clientConfig.concurrency || 1);
+  const contentFormat = args['content-format'].toLowerCase();
+  if (!CONTENT_FORMATS.includes(contentFormat)) {
+    throw new Error(`Invalid --content-format "${contentFormat}". Allowed: ${CONTENT_FORMATS.join(', ')}`);
+  }
+
   console.log('🔄 WordPress Bulk Updater\n');
-  console.log(`Site: ${WP_SITE}`);
-  console.log(`Request Delay: ${REQUEST_DELAY_MS}ms`);
+  console.log(`Site: ${clientConfig.name} (${clientConfig.wp_site})`);
+  console.log(`Request Delay: ${clientConfig.request_delay_ms}ms`);
+  console.log(`Concurrency: ${concurrency}`);
+  console.log(`Post Type: ${postType}`);
+  if (rehostImages) {
+    console.log('🖼️  External inline images will be copied to the media library');
+  }
+  if (convertBlocks) {
+    console.log('🧱 Content will be converted to blocks');
+  }
+  if (dryRun) {
+    console.log('🔎 Dry run: no changes will be made to WordPress');
+  }
 
   let csvPath;
   
-  if (process.argv[2]) {
-    csvPath = process.argv[2];
+  if (positionals[0]) {
+    csvPath = positionals[0];
     console.log(`\nCSV: ${csvPath} (from command-line argument)`);
   } else {
     const suggestedPath = process.env.CSV_PATH || 'posts.csv';
     csvPath = await promptForCsvPath(suggestedPath);
     console.log(`\nCSV: ${csvPath}`);
   }
+  if (sheet) {
+    console.log(`Sheet: ${sheet}`);
+  }
+  if (columnProfile) {
+    console.log(`Column profile: ${columnProfile.name}`);
+  }
 
-  const isConnected = await checkConnectivity();
+  const isConnected = await checkConnectivityWithApi(clientApi, clientConfig.wp_site);
   if (!isConnected) {
     process.exit(1);
   }
 
+  // SEO plugin for the seo_* columns, detected from the REST API index
+  const seoPlugin = await detectSeoPlugin(clientApi, clientConfig.wp_site, clientConfig.seo_plugin).catch(() => null);
+  console.log(`🔍 SEO plugin: ${seoPlugin ? SEO_PLUGINS[seoPlugin].name : 'none detected'}\n`);
+
   console.log(`📖 Loading CSV: ${csvPath}...`);
   let rows;
+  // Images a Markdown folder's posts take from that folder are uploaded with the post
+  let imageFolder;
   try {
-    rows = await loadCsv(csvPath);
+    ({ rows, imageFolder } = await loadInput(csvPath, { sheet, columnProfile }));
     console.log(`✅ Loaded ${rows.length} row(s)\n`);
   } catch (error) {
     console.error(`❌ Failed to load CSV: ${error.message}`);
@@ -606,16 +563,61 @@ async function main() {
     process.exit(0);
   }
 
-  console.log('📤 Starting update process...\n');
-  for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, null, api, defaultConfig);
-    logResults.push(result);
+  // Validate the whole CSV before making any changes
+  const validation = validateRows(rows, 'update', { timeZone: clientConfig.timezone });
+  // Post types and tax:<taxonomy> columns are checked against what the site exposes
+  const types = resolveRowTypes(rows, await loadPostTypes(clientApi), postType);
+  const validationErrors = [...validation.errors, ...types.errors, ...checkSeoSupport(rows, seoPlugin)];
+  if (validationErrors.length > 0) {
+    console.error(`❌ CSV validation failed with ${validationErrors.length} problem(s):`);
+    formatValidationErrors(validationErrors).forEach(line => console.error(`   - ${line}`));
+    console.error('\nFix the CSV and run again. Nothing was updated.');
+    process.exit(1);
+  }
+
+  console.log(dryRun ? '🔎 Planning update (dry run)...\n' : '📤 Starting update process...\n');
+  // Index existing posts once when any row is looked up by slug or title
+  let postIndexes = null;
+  const lookupTypes = types.rowTypes.filter((type, i) => !rows[i].post_id?.trim());
+  if (lookupTypes.length > 0) {
+    console.log('📇 Indexing existing posts...');
+    postIndexes = await buildPostIndexes(clientApi, lookupTypes.map(type => type.restBase));
+    console.log(`✅ Indexed ${countIndexedPosts(postIndexes)} existing post(s)\n`);
+  }
+
+  // Author lookups are cached for the whole run
+  const authors = createAuthorResolver(clientApi, { createMissing: createAuthors, dryRun });
+  // Parent pages are looked up on the site
+  const pageParents = createParentResolver(clientApi, { dryRun });
+
+  // Media map: images already in the media library are reused instead of uploaded again
+  const mediaCache = openMediaCache(clientConfig.id, clientConfig.wp_site, { readOnly: dryRun });
+
+  // Checkpoint journal: lets an interrupted run continue with --resume
+  const journal = openJournal(csvPath, 'update', { resume, readOnly: dryRun, siteId: clientConfig.id, sheet, profile: columnProfile });
+  if (resume && journal.completed.size > 0) {
+    console.log(`⏭️  Resuming: skipping ${journal.completed.size} row(s) already completed\n`);
   }
 
+  // Rows run in a worker pool; results keep CSV order
+  logResults = await runPool(rows.length, concurrency, async (i) => {
+    const journalEntry = journal.completed.get(i + 1);
+    if (journalEntry) {
+      return resumedResult(journalEntry);
+    }
+    const rowType = types.rowTypes[i];
+    const rowOptions = { dryRun, postIndex: postIndexes?.get(rowType.restBase), postType: rowType, taxonomyColumns: types.taxonomyColumns, seoPlugin, contentFormat, rehostImages, imageFolder, convertBlocks, mediaCache, authors, pageParents };
+    const { value: result, retries } = await withRetryTracking(() => updatePost(rows[i], i + 1, null, clientApi, clientConfig, rowOptions));
+    result.retries = retries;
+    journal.record(result);
+    return result;
+  });
+
   const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  const logFileName = dryRun ? 'update_plan.json' : 'update_log.json';
   const logPath = isVercel 
-    ? path.join('/tmp', 'update_log.json')
-    : path.resolve(__dirname, 'update_log.json');
+    ? path.join('/tmp', logFileName)
+    : path.resolve(__dirname, logFileName);
   fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
   console.log(`\n📝 Log written to: ${logPath}`);
 
@@ -625,7 +627,7 @@ async function main() {
   const failedCount = logResults.filter(r => r.error).length;
 
   console.log('\n' + '='.repeat(50));
-  console.log('📊 Summary');
+  console.log(dryRun ? '📊 Summary (dry run)' : '📊 Summary');
   console.log('='.repeat(50));
   console.log(`✅ Success: ${successCount}`);
   console.log(`❌ Failed: ${failedCount}`);
@@ -637,13 +639,37 @@ async function main() {
 
 /**
  * Process CSV file for updates (exported for use by web server)
+ * Options: dryRun - resolve every row without writing to WordPress
+ *          resume - skip rows the checkpoint journal already marks as done
+ *          concurrency - number of rows processed in parallel (defaults to CONCURRENCY)
+ *          contentFormat - 'html' (default) or 'markdown' for rows without a content_format column
+ *          rehostImages - upload external inline images to the media library and rewrite their URLs
+ *          convertBlocks - convert the content's HTML into core blocks (Classic block for the rest)
+ *          createAuthors - create users named in the author column (by email) when they do not exist
+ *          postType - post type slug or REST base for rows without a post_type column (default: post)
+ *          sheet - sheet name or 1-based position for .xlsx/.ods files (default: first sheet)
+ *          columnProfile - ID of the column profile (profiles.json) that maps the file's headers to columns
  */
-export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null) {
+export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const resume = Boolean(options.resume);
+  const rehostImages = Boolean(options.rehostImages);
+  const convertBlocks = Boolean(options.convertBlocks);
+  const createAuthors = Boolean(options.createAuthors);
+  const postType = options.postType?.trim() || 'post';
+  const sheet = options.sheet?.trim() || undefined;
+  const columnProfile = options.columnProfile?.trim() ? getColumnProfile(options.columnProfile.trim()) : null;
+  const contentFormat = (options.contentFormat || 'html').toLowerCase();
+  if (!CONTENT_FORMATS.includes(contentFormat)) {
+    throw new Error(`Invalid content format "${contentFormat}". Allowed: ${CONTENT_FORMATS.join(', ')}`);
+  }
+
   logResults = [];
   startTime = Date.now();
 
   // Get client configuration
   const clientConfig = getClientConfig(clientId);
+  const concurrency = Math.max(1, parseInt(options.concurrency, 10) || clientConfig.concurrency || 1);
   const clientApi = createApiInstance(clientConfig);
 
   if (progressCallback) progressCallback({ type: 'info', message: `🔍 Checking WordPress REST API connectivity for ${clientConfig.name}...` });
@@ -653,10 +679,16 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
   }
   if (progressCallback) progressCallback({ type: 'info', message: `✅ WordPress REST API is accessible for ${clientConfig.name}` });
 
+  // SEO plugin for the seo_* columns, detected from the REST API index
+  const seoPlugin = await detectSeoPlugin(clientApi, clientConfig.wp_site, clientConfig.seo_plugin).catch(() => null);
+  if (progressCallback) progressCallback({ type: 'info', message: `🔍 SEO plugin: ${seoPlugin ? SEO_PLUGINS[seoPlugin].name : 'none detected'}` });
+
   if (progressCallback) progressCallback({ type: 'info', message: '📖 Loading CSV file...' });
   let rows;
+  // Images a Markdown folder's posts take from that folder are uploaded with the post
+  let imageFolder;
   try {
-    rows = await loadCsv(csvPath);
+    ({ rows, imageFolder } = await loadInput(csvPath, { sheet, columnProfile }));
   } catch (error) {
     throw new Error(`Failed to load CSV: ${error.message}`);
   }
@@ -664,18 +696,69 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
   if (rows.length === 0) {
     throw new Error('CSV file is empty');
   }
+
+  // Validate the whole CSV before making any changes
+  const validation = validateRows(rows, 'update', { timeZone: clientConfig.timezone });
+  // Post types and tax:<taxonomy> columns are checked against what the site exposes
+  let types;
+  try {
+    types = resolveRowTypes(rows, await loadPostTypes(clientApi), postType);
+  } catch (error) {
+    throw new Error(`Failed to load post types: ${error.message}`);
+  }
+  const validationErrors = [...validation.errors, ...types.errors, ...checkSeoSupport(rows, seoPlugin)];
+  if (validationErrors.length > 0) {
+    throw createValidationError(validationErrors);
+  }
   if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)` });
-  if (progressCallback) progressCallback({ type: 'info', message: '📤 Starting update process...' });
+  if (progressCallback) progressCallback({ type: 'info', message: dryRun ? '🔎 Planning update (dry run, no changes will be made)...' : '📤 Starting update process...' });
+
+  // Index existing posts once when any row is looked up by slug or title
+  let postIndexes = null;
+  const lookupTypes = types.rowTypes.filter((type, i) => !rows[i].post_id?.trim());
+  if (lookupTypes.length > 0) {
+    if (progressCallback) progressCallback({ type: 'info', message: '📇 Indexing existing posts...' });
+    try {
+      postIndexes = await buildPostIndexes(clientApi, lookupTypes.map(type => type.restBase));
+    } catch (error) {
+      throw new Error(`Failed to index existing posts: ${error.message}`);
+    }
+    if (progressCallback) progressCallback({ type: 'info', message: `✅ Indexed ${countIndexedPosts(postIndexes)} existing post(s)` });
+  }
+
+  // Author lookups are cached for the whole run
+  const authors = createAuthorResolver(clientApi, { createMissing: createAuthors, dryRun });
+  // Parent pages are looked up on the site
+  const pageParents = createParentResolver(clientApi, { dryRun });
+
+  // Media map: images already in the media library are reused instead of uploaded again
+  const mediaCache = openMediaCache(clientConfig.id, clientConfig.wp_site, { readOnly: dryRun });
 
-  for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig);
-    logResults.push(result);
+  // Checkpoint journal: lets an interrupted run continue with options.resume
+  const journal = openJournal(csvPath, 'update', { resume, readOnly: dryRun, siteId: clientConfig.id, sheet, profile: columnProfile });
+  if (resume && journal.completed.size > 0) {
+    if (progressCallback) progressCallback({ type: 'info', message: `⏭️  Resuming: skipping ${journal.completed.size} row(s) already completed` });
   }
 
+  // Rows run in a worker pool; results keep CSV order
+  logResults = await runPool(rows.length, concurrency, async (i) => {
+    const journalEntry = journal.completed.get(i + 1);
+    if (journalEntry) {
+      return resumedResult(journalEntry);
+    }
+    const rowType = types.rowTypes[i];
+    const rowOptions = { dryRun, postIndex: postIndexes?.get(rowType.restBase), postType: rowType, taxonomyColumns: types.taxonomyColumns, seoPlugin, contentFormat, rehostImages, imageFolder, convertBlocks, mediaCache, authors, pageParents };
+    const { value: result, retries } = await withRetryTracking(() => updatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig, rowOptions));
+    result.retries = retries;
+    journal.record(result);
+    return result;
+  });
+
   const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  const logFileName = dryRun ? 'update_plan.json' : 'update_log.json';
   const logPath = isVercel 
-    ? path.join('/tmp', 'update_log.json')
-    : path.resolve(__dirname, 'update_log.json');
+    ? path.join('/tmp', logFileName)
+    : path.resolve(__dirname, logFileName);
   
   try {
     fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
@@ -695,7 +778,8 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
     failed: failedCount,
     duration: parseFloat(duration),
     results: logResults,
-    logPath: logPath
+    logPath: logPath,
+    dryRun
   };
 }
 
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isValidTimeZone } from './post-dates.js';
+import { SEO_PLUGINS } from './seo.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ID of the site configured through WP_SITE / WP_USER / WP_APP_PASSWORD
+const DEFAULT_CLIENT_ID = 'default';
+
+/**
+ * Settings every site inherits unless its registry entry overrides them
+ * Read lazily so the callers' dotenv.config() has already run
+ */
+function getEnvDefaults() {
+  return {
+    default_status: process.env.DEFAULT_STATUS || 'draft',
+    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
+    concurrency: parseInt(process.env.CONCURRENCY || '1', 10),
+    max_retries: parseInt(process.env.MAX_RETRIES || '3', 10),
+    timezone: process.env.SITE_TIMEZONE || 'UTC',
+    seo_plugin: process.env.SEO_PLUGIN || null,
+  };
+}
+
+/**
+ * Read the client registry: CLIENTS_CONFIG (inline JSON) or CLIENTS_FILE (default: clients.json)
+ * Both accept an object keyed by site ID or an array of entries with an `id`
+ */
+function loadRegistry() {
+  if (process.env.CLIENTS_CONFIG?.trim()) {
+    try {
+      return JSON.parse(process.env.CLIENTS_CONFIG);
+    } catch (error) {
+      throw new Error(`Invalid CLIENTS_CONFIG JSON: ${error.message}`);
+    }
+  }
+
+  const filePath = process.env.CLIENTS_FILE || 'clients.json';
+  const fullPath = path.isAbsolute(filePath) ? filePath : path.resolve(__dirname, filePath);
+  if (!fs.existsSync(fullPath)) {
+    if (process.env.CLIENTS_FILE) {
+      throw new Error(`Client registry file not found: ${fullPath}`);
+    }
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid client registry file ${fullPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Build a client configuration from a registry entry
+ * The password can be given directly or, to keep it out of the file, as the name of an env variable
+ */
+function normalizeClient(id, entry, defaults) {
+  const password = entry.wp_app_password
+    || (entry.wp_app_password_env ? process.env[entry.wp_app_password_env] : '');
+  return {
+    id,
+    name: entry.name || id,
+    wp_site: (entry.wp_site || '').replace(/\/$/, ''),
+    wp_user: entry.wp_user || '',
+    wp_app_password: password || '',
+    default_status: entry.default_status || defaults.default_status,
+    request_delay_ms: entry.request_delay_ms ?? defaults.request_delay_ms,
+    concurrency: entry.concurrency ?? defaults.concurrency,
+    max_retries: entry.max_retries ?? defaults.max_retries,
+    // Time zone of the `date` column; set it to the site's timezone from Settings > General
+    timezone: entry.timezone || defaults.timezone,
+    // SEO plugin override ('yoast', 'rankmath' or 'none'); detected from the site when not set
+    seo_plugin: entry.seo_plugin || defaults.seo_plugin,
+  };
+}
+
+/**
+ * Load all configured sites as a Map of id -> client configuration
+ */
+function loadClients() {
+  const defaults = getEnvDefaults();
+  const clients = new Map();
+
+  // Single-site configuration from the environment
+  if (process.env.WP_SITE) {
+    clients.set(DEFAULT_CLIENT_ID, normalizeClient(DEFAULT_CLIENT_ID, {
+      name: 'CTS',
+      wp_site: process.env.WP_SITE,
+      wp_user: process.env.WP_USER,
+      wp_app_password: process.env.WP_APP_PASSWORD,
+    }, defaults));
+  }
+
+  const registry = loadRegistry();
+  const entries = Array.isArray(registry)
+    ? registry.map(entry => [entry.id, entry])
+    : Object.entries(registry || {});
+  for (const [id, entry] of entries) {
+    if (!id) {
+      throw new Error('Every site in the client registry needs an id');
+    }
+    clients.set(String(id), normalizeClient(String(id), entry, defaults));
+  }
+
+  return clients;
+}
+
+/**
+ * Parse and get client configuration
+ * Without a clientId: DEFAULT_CLIENT, then the WP_SITE configuration, then the first registry entry
+ */
+export function getClientConfig(clientId = null) {
+  const clients = loadClients();
+  if (clients.size === 0) {
+    throw new Error('Missing required environment variables: WP_SITE, WP_USER, WP_APP_PASSWORD (or CLIENTS_CONFIG)');
+  }
+
+  const id = clientId
+    || process.env.DEFAULT_CLIENT
+    || (clients.has(DEFAULT_CLIENT_ID) ? DEFAULT_CLIENT_ID : clients.keys().next().value);
+  const client = clients.get(id);
+  if (!client) {
+    throw new Error(`Unknown site "${id}". Available sites: ${[...clients.keys()].join(', ')}`);
+  }
+  if (!client.wp_site || !client.wp_user || !client.wp_app_password) {
+    throw new Error(`Site "${id}" is missing wp_site, wp_user or wp_app_password`);
+  }
+  if (!isValidTimeZone(client.timezone)) {
+    throw new Error(`Site "${id}" has an unknown timezone "${client.timezone}" (use a name like "Europe/Berlin")`);
+  }
+  if (client.seo_plugin && client.seo_plugin !== 'none' && !SEO_PLUGINS[client.seo_plugin]) {
+    throw new Error(`Site "${id}" has an unknown seo_plugin "${client.seo_plugin}". Allowed: ${Object.keys(SEO_PLUGINS).join(', ')}, none`);
+  }
+
+  return client;
+}
+
+/**
+ * Get all available clients (without credentials)
+ */
+export function getAvailableClients() {
+  return [...loadClients().values()].map(client => ({
+    id: client.id,
+    name: client.name,
+    site: client.wp_site,
+  }));
+}
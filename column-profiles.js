@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Settings a column of a profile may have besides the plain "Source Header" shorthand
+const COLUMN_SETTINGS = ['from', 'join', 'split', 'part', 'default', 'template'];
+// {Header} placeholders of a template
+const TEMPLATE_PLACEHOLDER = /\{([^{}]+)\}/g;
+
+/**
+ * Read the profile file: PROFILES_FILE (default: profiles.json), an object keyed by profile ID
+ */
+function loadProfileFile() {
+  const filePath = process.env.PROFILES_FILE || 'profiles.json';
+  const fullPath = path.isAbsolute(filePath) ? filePath : path.resolve(__dirname, filePath);
+  if (!fs.existsSync(fullPath)) {
+    if (process.env.PROFILES_FILE) {
+      throw new Error(`Column profile file not found: ${fullPath}`);
+    }
+    return {};
+  }
+
+  let profiles;
+  try {
+    profiles = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid column profile file ${fullPath}: ${error.message}`);
+  }
+  if (profiles === null || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`Invalid column profile file ${fullPath}: expected an object keyed by profile ID`);
+  }
+  return profiles;
+}
+
+/**
+ * Bring one column of a profile into { from: [...], join, split, part, default, template }
+ * A string is a plain rename: the source header the column is read from
+ */
+function normalizeColumn(spec, fail) {
+  if (typeof spec === 'string') {
+    return { from: [spec], join: ' ' };
+  }
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    fail('expected a source header or an object with from, template or default');
+  }
+  const unknown = Object.keys(spec).filter(key => !COLUMN_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    fail(`unknown setting(s) ${unknown.join(', ')}. Allowed: ${COLUMN_SETTINGS.join(', ')}`);
+  }
+
+  const from = spec.from === undefined ? [] : [].concat(spec.from);
+  if (from.some(header => typeof header !== 'string' || !header.trim())) {
+    fail('from must be a header or a list of headers');
+  }
+  if (spec.template !== undefined && (typeof spec.template !== 'string' || from.length > 0)) {
+    fail('template must be text, and cannot be combined with from');
+  }
+  if (from.length === 0 && spec.template === undefined && spec.default === undefined) {
+    fail('needs from, template or default');
+  }
+  if (spec.part !== undefined && (!Number.isInteger(spec.part) || spec.part < 1 || spec.split === undefined)) {
+    fail('part must be a position counting from 1, used together with split');
+  }
+  for (const key of ['join', 'split', 'default']) {
+    if (spec[key] !== undefined && typeof spec[key] !== 'string') {
+      fail(`${key} must be text`);
+    }
+  }
+  if (spec.split === '') {
+    fail('split must not be empty');
+  }
+
+  return {
+    from,
+    join: spec.join ?? ' ',
+    split: spec.split,
+    part: spec.part,
+    default: spec.default,
+    template: spec.template,
+  };
+}
+
+/**
+ * Validate a profile entry and bring it into { id, name, description, columns, dropUnmapped }
+ */
+function normalizeProfile(id, entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`Column profile "${id}" must be an object with a columns map`);
+  }
+  if (entry.columns === null || typeof entry.columns !== 'object' || Array.isArray(entry.columns)) {
+    throw new Error(`Column profile "${id}" needs a columns map, e.g. {"title": "Post Title"}`);
+  }
+
+  const columns = Object.entries(entry.columns).map(([column, spec]) => ({
+    column,
+    ...normalizeColumn(spec, message => {
+      throw new Error(`Column profile "${id}", column "${column}": ${message}`);
+    }),
+  }));
+
+  return {
+    id,
+    name: entry.name || id,
+    description: entry.description || '',
+    columns,
+    dropUnmapped: Boolean(entry.drop_unmapped),
+  };
+}
+
+/**
+ * Get a column profile by ID; throws with the available profiles when there is no such profile
+ */
+export function getColumnProfile(profileId) {
+  const profiles = loadProfileFile();
+  const entry = profiles[profileId];
+  if (!entry) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown column profile "${profileId}". Available profiles: ${available.length > 0 ? available.join(', ') : 'none (create profiles.json)'}`);
+  }
+  return normalizeProfile(profileId, entry);
+}
+
+/**
+ * Get all stored column profiles (ID, name and description)
+ */
+export function getAvailableColumnProfiles() {
+  return Object.entries(loadProfileFile()).map(([id, entry]) => ({
+    id,
+    name: entry?.name || id,
+    description: entry?.description || '',
+  }));
+}
+
+/**
+ * Compute one mapped column of a row
+ * Sources are joined (or filled into the template), split into parts when split is set (one part,
+ * or all of them as a comma-separated list), and replaced by the default when the result is empty
+ */
+function mapColumn(row, mapping, headerFor) {
+  let value;
+  if (mapping.template !== undefined) {
+    value = mapping.template.replace(TEMPLATE_PLACEHOLDER, (match, header) => row[headerFor(header)] ?? '');
+  } else {
+    value = mapping.from
+      .map(header => String(row[headerFor(header)] ?? ''))
+      .filter(text => text.trim())
+      .join(mapping.join);
+  }
+
+  if (mapping.split !== undefined) {
+    const parts = value.split(mapping.split).map(part => part.trim()).filter(Boolean);
+    value = mapping.part ? parts[mapping.part - 1] ?? '' : parts.join(', ');
+  }
+
+  if (!value.trim() && mapping.default !== undefined) {
+    value = mapping.default;
+  }
+  return value;
+}
+
+/**
+ * Apply a column profile to loaded rows, giving them the column names the uploader understands
+ * Source headers match case-insensitively. Columns the profile does not read are kept as they are
+ * (so headers that already have the right name still work) unless the profile sets drop_unmapped.
+ * Throws when a header the profile reads is missing from the file, unless that column has a default.
+ */
+export function applyColumnProfile(rows, profile) {
+  if (!profile || rows.length === 0) return rows;
+
+  const headers = Object.keys(rows[0]);
+  const headersByKey = new Map(headers.map(header => [header.trim().toLowerCase(), header]));
+  const headerFor = header => headersByKey.get(header.trim().toLowerCase());
+
+  const used = new Set();
+  for (const mapping of profile.columns) {
+    const sources = mapping.template !== undefined
+      ? [...mapping.template.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1])
+      : mapping.from;
+    for (const source of sources) {
+      const header = headerFor(source);
+      if (header !== undefined) {
+        used.add(header);
+      } else if (mapping.default === undefined) {
+        throw new Error(`Column profile "${profile.id}": column "${mapping.column}" reads "${source}", which is not in the file. Columns: ${headers.join(', ')}`);
+      }
+    }
+  }
+
+  const mappedColumns = new Set(profile.columns.map(mapping => mapping.column));
+  const keptHeaders = profile.dropUnmapped
+    ? []
+    : headers.filter(header => !used.has(header) && !mappedColumns.has(header));
+
+  return rows.map(row => {
+    const mapped = {};
+    for (const mapping of profile.columns) {
+      mapped[mapping.column] = mapColumn(row, mapping, headerFor);
+    }
+    for (const header of keptHeaders) {
+      mapped[header] = row[header];
+    }
+    return mapped;
+  });
+}
@@ -0,0 +1,147 @@
+// Fastest rate a site is ever driven at, even with REQUEST_DELAY_MS=0
+const MIN_REQUEST_INTERVAL_MS = 20;
+// How far a throttled site may be slowed down (fraction of its base rate)
+const MIN_RATE_FACTOR = 1 / 16;
+// Fraction of the base rate recovered after each successful response
+const RECOVERY_STEP = 0.1;
+
+// One limiter per WordPress site, shared by every run that targets it
+const siteLimiters = new Map();
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a token bucket that hands out one token per request
+ * The base rate comes from REQUEST_DELAY_MS (one request per delay on average); burst allows short spikes
+ * The rate halves on every 429/503 and creeps back to the base rate as requests succeed
+ */
+function createTokenBucket(requestDelayMs, burst) {
+  const baseRate = 1000 / Math.max(requestDelayMs || 0, MIN_REQUEST_INTERVAL_MS);
+  const minRate = baseRate * MIN_RATE_FACTOR;
+  let rate = baseRate;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  // Waiters are served in order so no request starves
+  let queue = Promise.resolve();
+
+  const refill = (now) => {
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  };
+
+  const takeToken = async () => {
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      refill(now);
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+    }
+  };
+
+  return {
+    acquire() {
+      const turn = queue.then(takeToken);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    throttle(retryAfterMs = 0) {
+      refill(Date.now());
+      rate = Math.max(minRate, rate / 2);
+      tokens = 0;
+      if (retryAfterMs > 0) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+      }
+      console.warn(`⚠️  Site is throttling requests. Slowing down to ${rate.toFixed(2)} request(s)/s`);
+    },
+    recover() {
+      if (rate < baseRate) {
+        refill(Date.now());
+        rate = Math.min(baseRate, rate + baseRate * RECOVERY_STEP);
+      }
+    },
+    get rate() {
+      return rate;
+    },
+  };
+}
+
+/**
+ * Get the shared limiter for a site (created on first use)
+ */
+export function getSiteLimiter(siteUrl, requestDelayMs, burst = 1) {
+  if (!siteLimiters.has(siteUrl)) {
+    siteLimiters.set(siteUrl, createTokenBucket(requestDelayMs, Math.max(1, burst)));
+  }
+  return siteLimiters.get(siteUrl);
+}
+
+/**
+ * Route every request of an axios instance through a limiter
+ * 429 and 503 responses slow the limiter down; successful responses let it recover
+ */
+export function attachRateLimiter(apiInstance, limiter) {
+  apiInstance.interceptors.request.use(async (config) => {
+    await limiter.acquire();
+    return config;
+  });
+  apiInstance.interceptors.response.use(
+    (response) => {
+      limiter.recover();
+      return response;
+    },
+    (error) => {
+      const status = error.response?.status;
+      if (status === 429 || status === 503) {
+        limiter.throttle(parseRetryAfter(error.response.headers?.['retry-after']));
+      }
+      return Promise.reject(error);
+    }
+  );
+  return apiInstance;
+}
+
+/**
+ * Run worker(index) for indexes 0..count-1 with at most `concurrency` running at once
+ * Results are returned in index order regardless of completion order
+ */
+export async function runPool(count, concurrency, worker) {
+  const results = new Array(count);
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(concurrency || 1, count));
+
+  const runners = Array.from({ length: workerCount }, async () => {
+    while (next < count) {
+      const index = next++;
+      results[index] = await worker(index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONTENT_FORMATS } from './markdown.js';
+import { resolvePostDate, checkScheduledDate } from './post-dates.js';
+import { TAXONOMY_COLUMN_PREFIX } from './post-types.js';
+import { SEO_COLUMNS, parseBoolean } from './seo.js';
+import { META_COLUMN_PREFIX, parseJsonObject } from './post-meta.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Columns understood by bulk-upload.js and bulk-update.js
+export const KNOWN_COLUMNS = [
+  'title',
+  'content',
+  'status',
+  'categories',
+  'tags',
+  'slug',
+  'excerpt',
+  'featured_image_path',
+  'featured_image_url',
+  'featured_image_alt',
+  'featured_image_caption',
+  'featured_image_title',
+  'featured_image_description',
+  'acf_json',
+  'meta_json',
+  'post_id',
+  'content_format',
+  'date',
+  'date_gmt',
+  'author',
+  'post_type',
+  'parent',
+  'menu_order',
+  'template',
+  'sticky',
+  'format',
+  'comment_status',
+  'ping_status',
+  'password',
+  ...SEO_COLUMNS,
+];
+
+// featured_image_* columns and the attachment fields they set
+export const FEATURED_IMAGE_DETAIL_COLUMNS = {
+  featured_image_alt: 'alt_text',
+  featured_image_caption: 'caption',
+  featured_image_title: 'title',
+  featured_image_description: 'description',
+};
+
+export const VALID_STATUSES = ['draft', 'publish', 'private', 'pending', 'future'];
+
+// Post formats WordPress knows (a theme may support only some of them)
+export const POST_FORMATS = ['standard', 'aside', 'chat', 'gallery', 'link', 'image', 'quote', 'status', 'video', 'audio'];
+
+// Values of comment_status and ping_status
+export const DISCUSSION_STATUSES = ['open', 'closed'];
+
+/**
+ * Check whether a value looks like an http(s) URL
+ */
+function isUrl(value) {
+  return value.startsWith('http://') || value.startsWith('https://');
+}
+
+/**
+ * Validate a featured image value (URL or local path relative to the script directory)
+ */
+function validateImage(value) {
+  if (isUrl(value)) {
+    try {
+      new URL(value);
+      return null;
+    } catch {
+      return `Invalid image URL "${value}"`;
+    }
+  }
+
+  const fullPath = path.resolve(__dirname, value);
+  if (!fs.existsSync(fullPath)) {
+    return `Image file not found: ${fullPath}`;
+  }
+  return null;
+}
+
+/**
+ * Validate loaded CSV rows before any request is made
+ * mode: 'upload' (title and content required) or 'update' (post_id, slug or title required)
+ * options.timeZone is the site time zone the `date` column is read in
+ * Returns { valid, errors } where each error is { rowNumber, column, message }; rowNumber is null for header problems
+ */
+export function validateRows(rows, mode = 'upload', options = {}) {
+  const errors = [];
+  const addError = (rowNumber, column, message) => errors.push({ rowNumber, column, message });
+
+  // Header checks
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  for (const header of headers) {
+    if (header.startsWith(TAXONOMY_COLUMN_PREFIX) && header.length > TAXONOMY_COLUMN_PREFIX.length) {
+      // tax:<taxonomy> columns are checked against the site's taxonomies once connected
+      continue;
+    }
+    if (header.startsWith(META_COLUMN_PREFIX) && header.length > META_COLUMN_PREFIX.length) {
+      // meta:<key> columns can name any registered meta key
+      continue;
+    }
+    if (!KNOWN_COLUMNS.includes(header)) {
+      addError(null, header, `Unknown column "${header}". Known columns: ${KNOWN_COLUMNS.join(', ')}, ${TAXONOMY_COLUMN_PREFIX}<taxonomy>, ${META_COLUMN_PREFIX}<key>`);
+    }
+  }
+  if (mode === 'upload') {
+    for (const required of ['title', 'content']) {
+      if (!headers.includes(required)) {
+        addError(null, required, `Missing required column "${required}"`);
+      }
+    }
+  } else if (!headers.some(header => ['post_id', 'slug', 'title'].includes(header))) {
+    addError(null, 'post_id', 'Missing identifier column: must have post_id, slug, or title');
+  }
+
+  // Row checks (row numbers match the ones used in the logs)
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+
+    if (mode === 'upload') {
+      if (!row.title?.trim()) {
+        addError(rowNumber, 'title', 'Missing required field: title');
+      }
+      if (!row.content?.trim()) {
+        addError(rowNumber, 'content', 'Missing required field: content');
+      }
+    } else if (!row.post_id?.trim() && !row.slug?.trim() && !row.title?.trim()) {
+      addError(rowNumber, 'post_id', 'Missing identifier: must provide post_id, slug, or title');
+    }
+
+    if (row.post_id?.trim() && !/^\d+$/.test(row.post_id.trim())) {
+      addError(rowNumber, 'post_id', `Invalid post_id "${row.post_id}": must be a positive integer`);
+    }
+
+    if (row.status?.trim() && !VALID_STATUSES.includes(row.status.trim())) {
+      addError(rowNumber, 'status', `Invalid status "${row.status}". Allowed: ${VALID_STATUSES.join(', ')}`);
+    }
+
+    if (row.noindex?.trim() && parseBoolean(row.noindex) === null) {
+      addError(rowNumber, 'noindex', `Invalid noindex "${row.noindex}": use yes/no, true/false or 1/0`);
+    }
+    if (row.canonical?.trim() && !/^https?:\/\/\S+$/.test(row.canonical.trim())) {
+      addError(rowNumber, 'canonical', `Invalid canonical URL "${row.canonical}": must start with http:// or https://`);
+    }
+
+    let postDate = null;
+    try {
+      postDate = resolvePostDate(row, options.timeZone);
+    } catch (dateError) {
+      addError(rowNumber, row.date?.trim() ? 'date' : 'date_gmt', dateError.message);
+    }
+    const scheduleError = checkScheduledDate(row.status?.trim(), postDate);
+    if (scheduleError) {
+      addError(rowNumber, row.date?.trim() ? 'date' : 'date_gmt', scheduleError);
+    }
+    // An update may keep the post's existing future date, a new post needs one
+    if (mode === 'upload' && row.status?.trim() === 'future' && !row.date?.trim() && !row.date_gmt?.trim()) {
+      addError(rowNumber, 'status', 'Status "future" needs a date or date_gmt');
+    }
+
+    if (row.menu_order?.trim() && !/^-?\d+$/.test(row.menu_order.trim())) {
+      addError(rowNumber, 'menu_order', `Invalid menu_order "${row.menu_order}": must be a whole number`);
+    }
+
+    const sticky = row.sticky?.trim() ? parseBoolean(row.sticky) : null;
+    if (row.sticky?.trim() && sticky === null) {
+      addError(rowNumber, 'sticky', `Invalid sticky "${row.sticky}": use yes/no, true/false or 1/0`);
+    }
+    // WordPress refuses sticky posts that are private or password protected
+    if (sticky && row.password?.trim()) {
+      addError(rowNumber, 'sticky', 'A post cannot be sticky and have a password');
+    }
+    if (sticky && row.status?.trim() === 'private') {
+      addError(rowNumber, 'sticky', 'A sticky post cannot be private');
+    }
+    if (row.format?.trim() && !POST_FORMATS.includes(row.format.trim().toLowerCase())) {
+      addError(rowNumber, 'format', `Invalid format "${row.format}". Allowed: ${POST_FORMATS.join(', ')}`);
+    }
+    for (const column of ['comment_status', 'ping_status']) {
+      if (row[column]?.trim() && !DISCUSSION_STATUSES.includes(row[column].trim().toLowerCase())) {
+        addError(rowNumber, column, `Invalid ${column} "${row[column]}". Allowed: ${DISCUSSION_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (row.content_format?.trim() && !CONTENT_FORMATS.includes(row.content_format.trim().toLowerCase())) {
+      addError(rowNumber, 'content_format', `Invalid content_format "${row.content_format}". Allowed: ${CONTENT_FORMATS.join(', ')}`);
+    }
+
+    for (const [column, label] of [['acf_json', 'ACF JSON'], ['meta_json', 'meta JSON']]) {
+      try {
+        parseJsonObject(row[column], label);
+      } catch (error) {
+        addError(rowNumber, column, error.message);
+      }
+    }
+
+    for (const column of ['featured_image_path', 'featured_image_url']) {
+      const value = row[column]?.trim();
+      if (!value) continue;
+      if (column === 'featured_image_url' && !isUrl(value)) {
+        addError(rowNumber, column, `Invalid image URL "${value}": must start with http:// or https://`);
+        continue;
+      }
+      const imageError = validateImage(value);
+      if (imageError) {
+        addError(rowNumber, column, imageError);
+      }
+    }
+
+    // On uploads there is no existing featured image for the details to apply to
+    if (mode === 'upload' && !row.featured_image_path?.trim() && !row.featured_image_url?.trim()) {
+      for (const column of Object.keys(FEATURED_IMAGE_DETAIL_COLUMNS)) {
+        if (row[column]?.trim()) {
+          addError(rowNumber, column, `${column} needs featured_image_path or featured_image_url`);
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as one line per problem
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => {
+    const location = error.rowNumber ? `Row ${error.rowNumber}` : 'Header';
+    return `${location} [${error.column}]: ${error.message}`;
+  });
+}
+
+/**
+ * Build an Error carrying the full validation report (used by processCsvFile / processUpdateCsvFile)
+ */
+export function createValidationError(errors) {
+  const error = new Error(`CSV validation failed with ${errors.length} problem(s). Nothing was processed.`);
+  error.validationErrors = errors;
+  return error;
+}
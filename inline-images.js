@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const IMG_TAG = /<img\b[^>]*>/gi;
+const SRC_ATTRIBUTE = /(\s)(src|srcset)(\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Hostname without a leading www., for comparing a URL with the WordPress site
+ */
+function getHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Decode the entities that commonly appear inside attribute URLs
+ */
+function decodeAttribute(value) {
+  return value.replace(/&amp;/g, '&').replace(/&#038;/g, '&').trim();
+}
+
+/**
+ * Check whether an image URL is hosted somewhere other than the WordPress site
+ * Relative and data: URLs are never external
+ */
+function isExternalImage(url, siteUrl) {
+  if (!/^https?:\/\//i.test(url)) return false;
+  try {
+    return getHost(url) !== getHost(siteUrl);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local file behind an image of a Markdown folder's post (see markdown-folder.js), or null
+ * Only absolute paths of files inside folder count; site paths such as /wp-content/... never match
+ */
+export function getLocalImagePath(url, folder) {
+  if (!folder || !url.startsWith('/') || url.startsWith('//')) return null;
+  let filePath;
+  try {
+    filePath = fileURLToPath(new URL(url, 'file:///'));
+  } catch {
+    return null;
+  }
+  const relative = path.relative(folder, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(filePath)) return null;
+  return filePath;
+}
+
+/**
+ * Split a srcset value into { url, descriptor } candidates
+ */
+function parseSrcset(value) {
+  return value.split(',')
+    .map(candidate => candidate.trim())
+    .filter(Boolean)
+    .map(candidate => {
+      const [url, ...descriptor] = candidate.split(/\s+/);
+      return { url: decodeAttribute(url), descriptor: descriptor.join(' ') };
+    });
+}
+
+/**
+ * Visit every src/srcset attribute of every <img> tag; visit(name, value) returns the new value
+ */
+function mapImageAttributes(html, visit) {
+  return html.replace(IMG_TAG, tag => tag.replace(SRC_ATTRIBUTE, (match, space, name, equals, doubleQuoted, singleQuoted) => {
+    const value = doubleQuoted ?? singleQuoted;
+    const quote = doubleQuoted !== undefined ? '"' : "'";
+    return `${space}${name}${equals}${quote}${visit(name.toLowerCase(), value)}${quote}`;
+  }));
+}
+
+/**
+ * List the distinct external image URLs used in <img src> and <img srcset>
+ * options.external: false leaves external images out; options.imageFolder adds the local images of that folder
+ */
+export function findExternalImages(html, siteUrl, { external = true, imageFolder = null } = {}) {
+  const urls = new Set();
+  const isWanted = url => (external && isExternalImage(url, siteUrl)) || getLocalImagePath(url, imageFolder) !== null;
+  mapImageAttributes(html || '', (name, value) => {
+    const candidates = name === 'srcset' ? parseSrcset(value).map(c => c.url) : [decodeAttribute(value)];
+    candidates.filter(isWanted).forEach(url => urls.add(url));
+    return value;
+  });
+  return [...urls];
+}
+
+/**
+ * Upload every external inline image to the media library and point src/srcset at the new copies
+ * upload(url) must resolve to { id, url } of the new attachment, or null on failure (which fails the row)
+ * options are those of findExternalImages
+ * Returns { html, rehosted } where rehosted lists { from, to, id } per image
+ */
+export async function rehostInlineImages(html, siteUrl, upload, options = {}) {
+  const urls = findExternalImages(html, siteUrl, options);
+  if (urls.length === 0) {
+    return { html, rehosted: [] };
+  }
+
+  const replacements = new Map();
+  const rehosted = [];
+  for (const url of urls) {
+    const attachment = await upload(url);
+    if (!attachment?.url) {
+      throw new Error(`Failed to rehost inline image "${url}"`);
+    }
+    replacements.set(url, attachment.url);
+    rehosted.push({ from: url, to: attachment.url, id: attachment.id });
+  }
+
+  const rewritten = mapImageAttributes(html, (name, value) => {
+    if (name === 'srcset') {
+      const candidates = parseSrcset(value);
+      if (!candidates.some(candidate => replacements.has(candidate.url))) return value;
+      return candidates
+        .map(({ url, descriptor }) => [replacements.get(url) || url, descriptor].filter(Boolean).join(' '))
+        .join(', ');
+    }
+    return replacements.get(decodeAttribute(value)) || value;
+  });
+
+  return { html: rewritten, rehosted };
+}
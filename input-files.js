@@ -0,0 +1,63 @@
+import csv from 'csv-parser';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isSpreadsheet, loadSpreadsheet } from './spreadsheets.js';
+import { isJsonFile, loadJsonRows } from './json-rows.js';
+import { isWxrFile, loadWxrRows } from './wxr.js';
+import { isMarkdownFolder, loadMarkdownFolder } from './markdown-folder.js';
+import { applyColumnProfile } from './column-profiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Read the rows of a CSV file
+ */
+function readCsvRows(fullPath) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    fs.createReadStream(fullPath)
+      .pipe(csv())
+      .on('data', (data) => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Load the rows of an import or update: a CSV file, one sheet of an .xlsx/.ods workbook
+ * (options.sheet: name or 1-based position), the posts of a JSON array / NDJSON file, the items of
+ * a WordPress export (WXR), or a folder of Markdown files with front matter (one row per file)
+ * options.columnProfile (see column-profiles.js) renames the file's headers to columns
+ * Returns { rows, imageFolder }; imageFolder is the Markdown folder itself, whose posts' images are
+ * uploaded with them, or null for every other input
+ */
+export async function loadInput(filePath, options = {}) {
+  // Support both absolute and relative paths (relative to the script directory)
+  const fullPath = path.isAbsolute(filePath)
+    ? filePath
+    : path.resolve(__dirname, filePath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`CSV file not found: ${fullPath}`);
+  }
+
+  let rows;
+  if (isMarkdownFolder(fullPath)) {
+    rows = loadMarkdownFolder(fullPath);
+  } else if (isWxrFile(fullPath)) {
+    rows = loadWxrRows(fullPath);
+  } else if (isJsonFile(fullPath)) {
+    rows = loadJsonRows(fullPath);
+  } else if (isSpreadsheet(fullPath)) {
+    rows = loadSpreadsheet(fullPath, { sheet: options.sheet });
+  } else {
+    rows = await readCsvRows(fullPath);
+  }
+
+  return {
+    rows: applyColumnProfile(rows, options.columnProfile),
+    imageFolder: isMarkdownFolder(fullPath) ? fullPath : null,
+  };
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { TAXONOMY_COLUMN_PREFIX } from './post-types.js';
+
+// JSON formats read besides CSV: a JSON array of post objects, or one object per line (NDJSON)
+export const JSON_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+// Columns holding a JSON object in a CSV; a JSON file may give the object itself, under either name
+const OBJECT_COLUMNS = {
+  acf_json: 'acf_json',
+  acf: 'acf_json',
+  meta_json: 'meta_json',
+  meta: 'meta_json',
+};
+
+/**
+ * Check whether a file is a JSON or NDJSON file (by extension)
+ */
+export function isJsonFile(filePath) {
+  return JSON_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check whether a column lists taxonomy terms
+ */
+function isTermColumn(column) {
+  return column === 'categories' || column === 'tags' || column.startsWith(TAXONOMY_COLUMN_PREFIX);
+}
+
+/**
+ * Turn a scalar JSON value into the text a CSV cell would hold
+ */
+function toCell(value, label) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  throw new Error(`${label}: expected text, a number or true/false`);
+}
+
+/**
+ * Turn a term list into the comma-separated text of a CSV cell
+ * Each entry is a name or a path, given as "Recipes > Brunch" or as ["Recipes", "Brunch"]
+ */
+function toTermCell(value, label) {
+  if (!Array.isArray(value)) return toCell(value, label);
+  return value.map(entry => {
+    const names = Array.isArray(entry) ? entry : [entry];
+    return names.map(name => {
+      const text = toCell(name, label).trim();
+      // The cell is split on commas again when the terms are resolved
+      if (text.includes(',')) {
+        throw new Error(`${label}: term "${text}" contains a comma, which term names cannot have`);
+      }
+      return text;
+    }).join(' > ');
+  }).join(', ');
+}
+
+/**
+ * Turn one post object into a row like the ones read from a CSV (every value a string)
+ * Terms may be arrays and acf_json/meta_json (or acf/meta) objects; label names the post in errors
+ */
+export function recordToRow(record, label) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error(`${label}: expected an object like {"title": "...", "content": "..."}`);
+  }
+
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    const column = OBJECT_COLUMNS[key] || key;
+    const cellLabel = `${label} "${key}"`;
+    if (OBJECT_COLUMNS[key] && value !== null && typeof value === 'object') {
+      // Left as an array it would fail the same way a CSV cell holding one does
+      row[column] = JSON.stringify(value);
+    } else if (isTermColumn(column)) {
+      row[column] = toTermCell(value, cellLabel);
+    } else {
+      row[column] = toCell(value, cellLabel);
+    }
+  }
+  return row;
+}
+
+/**
+ * Parse the post objects of a file: a JSON array, or NDJSON (one object per line, blank lines skipped)
+ */
+function parseRecords(text, filePath) {
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON: ${parseError.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('Invalid JSON: expected an array of posts like [{"title": "...", "content": "..."}]');
+    }
+    return data.map((record, index) => ({ record, label: `Post ${index + 1}` }));
+  }
+
+  const records = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push({ record: JSON.parse(line), label: `Line ${index + 1}` });
+    } catch (parseError) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${parseError.message}`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Give every row every column any row has, empty where a row leaves it out, the way a CSV row would
+ */
+export function alignColumns(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? ''])));
+}
+
+/**
+ * Load the posts of a JSON or NDJSON file as CSV-style rows (see recordToRow)
+ */
+export function loadJsonRows(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+  return alignColumns(parseRecords(text, filePath).map(({ record, label }) => recordToRow(record, label)));
+}
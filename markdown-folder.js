@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseDocument, visit } from 'yaml';
+import { recordToRow, alignColumns } from './json-rows.js';
+
+// Files read from a folder of Markdown posts
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Image references of a body: ![alt](path "title") in Markdown, <img src="path"> in HTML
+const MARKDOWN_IMAGE = /(!\[[^\]\n]*\]\(\s*)(<[^>\n]*>|[^\s)]+)/g;
+const HTML_IMAGE_SOURCE = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"'\n]*)\2/gi;
+// Fenced code blocks and `code spans`, whose examples are left as written
+const MARKDOWN_CODE = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[ \t]*$|`[^`\n]+`/gm;
+
+/**
+ * Check whether a path is a folder (read as a folder of Markdown posts)
+ */
+export function isMarkdownFolder(fullPath) {
+  return fs.statSync(fullPath).isDirectory();
+}
+
+/**
+ * List the Markdown files of a folder and its subfolders, sorted by path
+ * Hidden entries (.git) and node_modules are skipped
+ */
+export function listMarkdownFiles(folderPath) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (MARKDOWN_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+  };
+  walk(folderPath);
+  return files.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Parse YAML front matter into an object
+ * Numbers and true/false stay the text they were written as ("1.10", "TRUE"), as they would in a CSV cell
+ */
+export function parseFrontMatter(yaml) {
+  const document = parseDocument(yaml, { prettyErrors: false });
+  if (document.errors.length > 0) {
+    const [error] = document.errors;
+    throw new Error(`Front matter line ${yaml.slice(0, error.pos[0]).split('\n').length}: ${error.message}`);
+  }
+  visit(document, {
+    Scalar(key, node) {
+      if (typeof node.value === 'number' || typeof node.value === 'boolean') {
+        node.value = node.source;
+      }
+    },
+  });
+
+  const data = document.toJS() ?? {};
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front matter must be "key: value" lines');
+  }
+  return data;
+}
+
+/**
+ * Point the relative image references of a body at the files they name, as absolute paths
+ * Only images that exist inside the imported folder are rewritten; the upload then sends them to the
+ * media library (see getLocalImagePath in inline-images.js). URLs, site paths and code stay as written.
+ */
+function resolveBodyImages(body, fileDir, folderPath) {
+  const resolveReference = (reference) => {
+    if (/^(?:[a-z][a-z0-9+.-]*:|[/\\#])/i.test(reference)) return null;
+    let filePath;
+    try {
+      filePath = path.resolve(fileDir, decodeURI(reference));
+    } catch {
+      return null;
+    }
+    const relative = path.relative(folderPath, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(filePath)) return null;
+    return pathToFileURL(filePath).pathname;
+  };
+
+  const resolveText = text => text
+    .replace(MARKDOWN_IMAGE, (match, start, reference) => {
+      const resolved = resolveReference(reference.replace(/^<(.*)>$/, '$1'));
+      return resolved ? `${start}${resolved}` : match;
+    })
+    .replace(HTML_IMAGE_SOURCE, (match, start, quote, reference) => {
+      const resolved = resolveReference(reference);
+      return resolved ? `${start}${quote}${resolved}${quote}` : match;
+    });
+
+  let result = '';
+  let position = 0;
+  for (const code of body.matchAll(MARKDOWN_CODE)) {
+    result += resolveText(body.slice(position, code.index)) + code[0];
+    position = code.index + code[0].length;
+  }
+  return result + resolveText(body.slice(position));
+}
+
+/**
+ * Split a Markdown file into its front matter (between --- lines at the top) and its body
+ */
+function splitFrontMatter(text) {
+  const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) return { yaml: '', body: text };
+  return { yaml: match[1], body: text.slice(match[0].length) };
+}
+
+/**
+ * Load a folder of Markdown files as CSV-style rows, one per file
+ * Front matter keys are the columns (terms may be lists, acf/meta maps, as in JSON input) and the body is
+ * the content, read as Markdown unless content_format says otherwise. A relative featured_image_path and
+ * relative images in the body are resolved against the Markdown file's own folder.
+ */
+export function loadMarkdownFolder(folderPath) {
+  const files = listMarkdownFiles(folderPath);
+  if (files.length === 0) {
+    throw new Error(`No Markdown files (${MARKDOWN_EXTENSIONS.join(', ')}) found in ${folderPath}`);
+  }
+
+  return alignColumns(files.map(filePath => {
+    const label = path.relative(folderPath, filePath);
+    const { yaml, body } = splitFrontMatter(fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, ''));
+
+    let frontMatter;
+    try {
+      frontMatter = parseFrontMatter(yaml);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    const row = recordToRow(frontMatter, label);
+
+    if (body.trim()) {
+      row.content = resolveBodyImages(body.trim(), path.dirname(filePath), folderPath);
+    }
+    row.content_format ||= 'markdown';
+    const imagePath = row.featured_image_path?.trim();
+    if (imagePath && !path.isAbsolute(imagePath)) {
+      row.featured_image_path = path.resolve(path.dirname(filePath), imagePath);
+    }
+    return row;
+  }));
+}
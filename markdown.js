@@ -0,0 +1,36 @@
+import MarkdownIt from 'markdown-it';
+import markdownItFootnote from 'markdown-it-footnote';
+
+export const CONTENT_FORMATS = ['html', 'markdown'];
+
+// GFM-style tables and fenced code are built in; footnotes come from the plugin.
+// Raw HTML stays allowed so writers can still drop in embeds.
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: false,
+}).use(markdownItFootnote);
+
+/**
+ * Convert Markdown to HTML for the WordPress content field
+ */
+export function renderMarkdown(text) {
+  return md.render(text).trim();
+}
+
+/**
+ * Pick the content format for a row: the content_format column wins over the run-level default
+ */
+export function getContentFormat(row, defaultFormat = 'html') {
+  return (row.content_format?.trim() || defaultFormat || 'html').toLowerCase();
+}
+
+/**
+ * Prepare row content for WordPress: Markdown rows are converted, HTML rows are sent as-is
+ */
+export function formatContent(content, format = 'html') {
+  if (format === 'markdown') {
+    return renderMarkdown(content);
+  }
+  return content;
+}
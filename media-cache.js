@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the directory media maps are written to
+ * Use /tmp on Vercel (serverless), or media-cache/ next to the scripts for local development
+ */
+function getMediaCacheDir() {
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  return isVercel ? path.join('/tmp', 'media-cache') : path.resolve(__dirname, 'media-cache');
+}
+
+/**
+ * Hash image contents, so the same picture is recognised under any file name or URL
+ */
+export function hashMedia(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Cache keys for an image: its source URL (remote images only) and its content hash
+ */
+export function mediaKeys({ sourceUrl = null, hash = null }) {
+  return [sourceUrl && `url:${sourceUrl}`, hash && `sha256:${hash}`].filter(Boolean);
+}
+
+/**
+ * Open the media map of a site: which attachment already holds which image
+ * The map is persisted per site so later runs reuse attachments too; readOnly (dry runs) never writes it
+ * Returns { peek, find, remember, share }:
+ *   peek(key) - the remembered { id, url } without checking WordPress
+ *   find(key, apiInstance) - the remembered attachment, checked once per run to still exist
+ *   remember(keys, media) - record an attachment under every key
+ *   share(key, fn) - run fn once for concurrent callers with the same key
+ */
+export function openMediaCache(siteId, siteUrl, { readOnly = false } = {}) {
+  const cacheDir = getMediaCacheDir();
+  const cachePath = path.join(cacheDir, `${String(siteId || 'default').replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  let entries = {};
+
+  if (fs.existsSync(cachePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      // A site ID pointed at a different WordPress install: its attachment IDs mean nothing here
+      if (saved.site === siteUrl) {
+        entries = saved.media || {};
+      }
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable media map ${cachePath}: ${error.message}`);
+    }
+  }
+
+  const verified = new Set();
+  const pending = new Map();
+
+  const save = () => {
+    if (readOnly) return;
+    try {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ site: siteUrl, media: entries }, null, 2));
+    } catch (error) {
+      console.warn(`⚠️  Could not write media map: ${error.message}`);
+    }
+  };
+
+  const forget = (id) => {
+    for (const [key, media] of Object.entries(entries)) {
+      if (media.id === id) delete entries[key];
+    }
+    save();
+  };
+
+  const cache = {
+    peek(key) {
+      return entries[key] || null;
+    },
+
+    async find(key, apiInstance) {
+      const media = entries[key];
+      if (!media) return null;
+      if (verified.has(media.id)) return media;
+
+      return cache.share(`verify:${media.id}`, async () => {
+        try {
+          const response = await apiInstance.get(`/media/${media.id}`, { params: { _fields: 'id,source_url' } });
+          const current = { id: response.data.id, url: response.data.source_url || media.url };
+          verified.add(current.id);
+          return current;
+        } catch (error) {
+          if (error.response?.status === 404 || error.response?.status === 410) {
+            // Deleted from the media library since it was recorded; upload it again
+            forget(media.id);
+          } else {
+            console.warn(`⚠️  Could not check media ${media.id}: ${error.message}`);
+          }
+          return null;
+        }
+      });
+    },
+
+    remember(keys, media) {
+      for (const key of keys) {
+        entries[key] = { id: media.id, url: media.url };
+      }
+      verified.add(media.id);
+      save();
+    },
+
+    share(key, fn) {
+      if (pending.has(key)) return pending.get(key);
+      const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => pending.delete(key));
+      pending.set(key, promise);
+      return promise;
+    },
+  };
+
+  return cache;
+}
@@ -0,0 +1,208 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mime from 'mime-types';
+import { FEATURED_IMAGE_DETAIL_COLUMNS } from './csv-validation.js';
+import { findExternalImages, rehostInlineImages, getLocalImagePath } from './inline-images.js';
+import { hashMedia, mediaKeys } from './media-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Download image from URL
+ */
+async function downloadImageFromUrl(imageUrl) {
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: response.headers['content-type'] || mime.lookup(imageUrl) || 'image/jpeg',
+      fileName: path.basename(new URL(imageUrl).pathname) || 'image.jpg',
+    };
+  } catch (error) {
+    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read an image from a local file or download it from a URL
+ * Returns { buffer, fileName, mimeType }, or null when it cannot be read
+ */
+async function readMediaSource(source) {
+  // Check if it's a URL (starts with http:// or https://)
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    // Download from URL
+    return downloadImageFromUrl(source);
+  }
+
+  // Local file path
+  const fullPath = path.resolve(__dirname, source);
+  if (!fs.existsSync(fullPath)) {
+    console.error(`⚠️  Image file not found: ${fullPath}`);
+    return null;
+  }
+
+  return {
+    buffer: fs.readFileSync(fullPath),
+    fileName: path.basename(fullPath),
+    mimeType: mime.lookup(fullPath) || 'application/octet-stream',
+  };
+}
+
+/**
+ * Send image data to the media library; returns { id, url } of the new attachment, or null on failure
+ */
+async function postMedia(file, source, apiInstance) {
+  try {
+    const response = await apiInstance.post('/media', file.buffer, {
+      headers: {
+        'Content-Type': file.mimeType,
+        'Content-Disposition': `attachment; filename="${file.fileName}"`,
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    });
+
+    return { id: response.data.id, url: response.data.source_url };
+  } catch (error) {
+    console.error(`⚠️  Failed to upload media "${source}": ${error.message}`);
+    if (error.response?.data) {
+      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Upload image data once per content hash, or reuse the attachment that already holds it
+ * Rows with the same picture under different file names or URLs wait for the first upload instead
+ * of starting their own; everyone but the uploader gets the attachment back marked as reused
+ */
+async function uploadCachedMedia(file, source, sourceUrl, apiInstance, mediaCache) {
+  if (!file) return null;
+
+  const hashKey = mediaKeys({ hash: hashMedia(file.buffer) })[0];
+  let uploaded = false;
+  const media = await mediaCache.share(hashKey, async () => {
+    const known = await mediaCache.find(hashKey, apiInstance);
+    if (known) return known;
+
+    uploaded = true;
+    const created = await postMedia(file, source, apiInstance);
+    if (created) {
+      mediaCache.remember([hashKey], created);
+    }
+    return created;
+  });
+  if (!media) return null;
+
+  if (sourceUrl) {
+    mediaCache.remember(mediaKeys({ sourceUrl }), media);
+  }
+  if (uploaded) return media;
+  console.log(`   ♻️  Reusing media ${media.id} for "${source}"`);
+  return { ...media, reused: true };
+}
+
+/**
+ * Upload an image to the WordPress media library (from local file or URL)
+ * Returns { id, url, reused } of the attachment, or null on failure
+ * With options.mediaCache (see media-cache.js), an image this or an earlier run already uploaded
+ * is matched by source URL or content hash and its attachment is reused
+ * In dry-run mode, the image is only checked and recorded in options.plan
+ */
+export async function uploadMedia(filePathOrUrl, apiInstance, clientConfig = null, options = {}) {
+  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
+
+  const source = filePathOrUrl.trim();
+  const isUrl = source.startsWith('http://') || source.startsWith('https://');
+  const mediaCache = options.mediaCache;
+
+  if (options.dryRun) {
+    const fullPath = path.resolve(__dirname, source);
+    if (!isUrl && !fs.existsSync(fullPath)) {
+      console.error(`⚠️  Image file not found: ${fullPath}`);
+      return null;
+    }
+    const keys = isUrl ? mediaKeys({ sourceUrl: source }) : mediaKeys({ hash: hashMedia(fs.readFileSync(fullPath)) });
+    const known = mediaCache?.peek(keys[0]);
+    options.plan?.push(known ? `would reuse media ${known.id} for "${source}"` : `would upload image "${source}"`);
+    return null;
+  }
+
+  if (!mediaCache) {
+    const file = await readMediaSource(source);
+    return file ? postMedia(file, source, apiInstance) : null;
+  }
+
+  if (!isUrl) {
+    return uploadCachedMedia(await readMediaSource(source), source, null, apiInstance, mediaCache);
+  }
+
+  // Rows sharing an image URL wait for the first download instead of starting their own;
+  // only the row that started it can have uploaded the image, the others reuse its attachment
+  let started = false;
+  const media = await mediaCache.share(mediaKeys({ sourceUrl: source })[0], async () => {
+    started = true;
+    const known = await mediaCache.find(mediaKeys({ sourceUrl: source })[0], apiInstance);
+    if (known) {
+      console.log(`   ♻️  Reusing media ${known.id} for "${source}"`);
+      return { ...known, reused: true };
+    }
+    return uploadCachedMedia(await readMediaSource(source), source, source, apiInstance, mediaCache);
+  });
+  if (!media || started || media.reused) return media;
+  console.log(`   ♻️  Reusing media ${media.id} for "${source}"`);
+  return { ...media, reused: true };
+}
+
+/**
+ * Upload external images used inside the content HTML and point them at the media library copies
+ * options.external: false skips external images; options.imageFolder also uploads the images of a
+ * Markdown folder's posts (see findExternalImages)
+ * In dry-run mode, the images are only recorded in options.plan
+ */
+export async function rehostContentImages(content, apiInstance, clientConfig, options = {}) {
+  const imageOptions = { external: options.external ?? true, imageFolder: options.imageFolder };
+  if (options.dryRun) {
+    findExternalImages(content, clientConfig.wp_site, imageOptions)
+      .forEach(url => options.plan?.push(`would rehost inline image "${getLocalImagePath(url, options.imageFolder) || url}"`));
+    return content;
+  }
+
+  const { html, rehosted } = await rehostInlineImages(content, clientConfig.wp_site,
+    url => uploadMedia(getLocalImagePath(url, options.imageFolder) || url, apiInstance, clientConfig, { mediaCache: options.mediaCache }),
+    imageOptions);
+  if (rehosted.length > 0) {
+    console.log(`   🖼️  Rehosted ${rehosted.length} inline image(s)`);
+  }
+  return html;
+}
+
+/**
+ * Attachment fields from the featured_image_* columns, in REST API form (only the ones filled in)
+ */
+export function getFeaturedImageDetails(row) {
+  const details = {};
+  for (const [column, field] of Object.entries(FEATURED_IMAGE_DETAIL_COLUMNS)) {
+    if (row[column]?.trim()) {
+      details[field] = row[column].trim();
+    }
+  }
+  return details;
+}
+
+/**
+ * Update attachment fields: alt_text, caption, title, description and post (the parent post)
+ */
+export async function updateMediaDetails(mediaId, details, apiInstance) {
+  const response = await apiInstance.post(`/media/${mediaId}`, details);
+  return response.data;
+}
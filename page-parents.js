@@ -0,0 +1,173 @@
+// Separates the levels of a page path: "about/team"
+const PATH_SEPARATOR = '/';
+
+/**
+ * Split a parent value into lowercase slugs: "about/team", "/about/team/" and the page URL all work
+ */
+export function splitPagePath(value) {
+  let text = String(value ?? '').trim();
+  if (/^https?:\/\//i.test(text)) {
+    try {
+      text = new URL(text).pathname;
+    } catch {
+      // Not a URL after all; read it as a path
+    }
+  }
+  return text.split(PATH_SEPARATOR).map(slug => slug.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Derive the slug WordPress gives a title (a close approximation of sanitize_title)
+ */
+export function slugify(title) {
+  return String(title ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[^;\s]+;/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 _-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+/**
+ * Find the pages whose path is the given path or ends with it ("team" and "about/team" both match "company/about/team")
+ * Returns the exact match if there is one, otherwise every partial match
+ */
+function matchPagePath(pages, slugs) {
+  const pagePath = slugs.join(PATH_SEPARATOR);
+  const exact = pages.filter(page => page.path === pagePath);
+  if (exact.length > 0) return exact;
+  return pages.filter(page => page.path.endsWith(`${PATH_SEPARATOR}${pagePath}`));
+}
+
+/**
+ * Create the parent page resolver of a run
+ * rows/rowTypes (uploads): pages of hierarchical post types this CSV creates, so a later row can use one
+ * as its parent; that row waits until the parent row is done. Every row has to be reported with settle().
+ * Other parents are looked up on the site, level by level for paths. options.dryRun notes parents that
+ * would only exist after the run in the row's plan instead of failing.
+ */
+export function createParentResolver(apiInstance, { rows = [], rowTypes = [], dryRun = false } = {}) {
+  // { rowNumber, restBase, path, promise, resolve } of every page this CSV creates, in row order
+  const csvPages = [];
+  const csvPagesByRow = new Map();
+  rows.forEach((row, index) => {
+    const type = rowTypes[index];
+    const parent = row.parent?.trim() || '';
+    const slug = row.slug?.trim().toLowerCase() || slugify(row.title);
+    // A parent given as an ID leaves the page's path unknown up front
+    if (!type?.hierarchical || !slug || /^\d+$/.test(parent)) return;
+
+    // Below a page of this CSV, the path continues from that page's full path
+    const parentSlugs = splitPagePath(parent);
+    const earlier = csvPages.filter(page => page.restBase === type.restBase);
+    const parentPages = parentSlugs.length > 0 ? matchPagePath(earlier, parentSlugs) : [];
+    const parentPath = parentPages.length === 1 ? parentPages[0].path : parentSlugs.join(PATH_SEPARATOR);
+    const pagePath = parentPath ? `${parentPath}${PATH_SEPARATOR}${slug}` : slug;
+    if (earlier.some(page => page.path === pagePath)) return;
+
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    const page = { rowNumber: index + 1, restBase: type.restBase, path: pagePath, promise, resolve };
+    csvPages.push(page);
+    csvPagesByRow.set(index + 1, page);
+  });
+
+  const siteLookups = new Map();
+
+  const findPage = async (restBase, slug, parent) => {
+    const params = { slug, status: 'any', per_page: 100, _fields: 'id,parent' };
+    if (parent !== null) {
+      params.parent = parent;
+    }
+    const response = await apiInstance.get(`/${restBase}`, { params });
+    return response.data || [];
+  };
+
+  const lookupOnSite = async (restBase, slugs, value) => {
+    if (slugs.length === 1) {
+      // A bare slug matches at any level, as long as only one page has it
+      const pages = await findPage(restBase, slugs[0], null);
+      if (pages.length > 1) {
+        throw new Error(`Parent "${value}" matches ${pages.length} pages; use its path, e.g. "parent-slug/${slugs[0]}"`);
+      }
+      if (pages.length === 0) {
+        throw new Error(`Parent "${value}" not found`);
+      }
+      return pages[0].id;
+    }
+
+    let parent = 0;
+    for (const slug of slugs) {
+      const [page] = await findPage(restBase, slug, parent);
+      if (!page) {
+        throw new Error(`Parent "${value}" not found (no "${slug}" page at that level)`);
+      }
+      parent = page.id;
+    }
+    return parent;
+  };
+
+  // Site lookups are shared by the rows naming the same parent
+  const findOnSite = (restBase, slugs, value) => {
+    const key = `${restBase}:${slugs.join(PATH_SEPARATOR)}`;
+    if (!siteLookups.has(key)) {
+      const pending = lookupOnSite(restBase, slugs, value);
+      // Only found pages are cached; a parent missing now may be created by a later row
+      pending.catch(() => siteLookups.delete(key));
+      siteLookups.set(key, pending);
+    }
+    return siteLookups.get(key);
+  };
+
+  // The page an earlier row of this CSV creates under that path
+  const findCsvPage = (restBase, slugs, rowNumber) => {
+    const earlier = csvPages.filter(page => page.restBase === restBase && page.rowNumber < rowNumber);
+    const matches = matchPagePath(earlier, slugs);
+    if (matches.length > 1) {
+      throw new Error(`Parent "${slugs.join(PATH_SEPARATOR)}" matches the pages of rows ${matches.map(page => page.rowNumber).join(', ')}; use its full path`);
+    }
+    return matches[0] || null;
+  };
+
+  return {
+    /**
+     * Resolve a parent value (ID, slug or path) of the row rowNumber to a page ID; 0 means top level
+     * A parent created by an earlier row is looked up on the site when that row saved nothing
+     * Returns null in dry runs when the parent would be created by an earlier row; throws when not found
+     */
+    async resolve(value, rowNumber, postType, plan = null) {
+      const text = String(value ?? '').trim();
+      if (/^\d+$/.test(text)) return parseInt(text, 10);
+      const slugs = splitPagePath(text);
+      if (slugs.length === 0) return 0;
+
+      const csvPage = findCsvPage(postType.restBase, slugs, rowNumber);
+      if (csvPage) {
+        const id = await csvPage.promise;
+        if (id) return id;
+        // The row may have failed (or only been planned) because the page is already on the site, as on a re-run
+        const siteId = await findOnSite(postType.restBase, slugs, text).catch(() => null);
+        if (siteId) return siteId;
+        if (dryRun) {
+          plan?.push(`would set parent "${text}" (created by row ${csvPage.rowNumber})`);
+          return null;
+        }
+        throw new Error(`Parent "${text}" was not created: row ${csvPage.rowNumber} failed and the site has no such page`);
+      }
+
+      return findOnSite(postType.restBase, slugs, text);
+    },
+
+    /**
+     * Report a finished row with the ID of its saved page (null if it failed or was not saved),
+     * releasing the rows waiting for it as their parent
+     */
+    settle(rowNumber, postId) {
+      csvPagesByRow.get(rowNumber)?.resolve(postId || null);
+    },
+  };
+}
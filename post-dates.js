@@ -0,0 +1,195 @@
+// ISO 8601 and year-first dates: 2026-11-01, 2026-11-01T09:30, 2026/11/01 09:30:00, 2026-11-01T09:30:00+02:00
+const ISO_DATE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+// Spreadsheet exports, month first: 11/1/2026, 11/01/2026 9:30 AM, 11/01/26 21:30
+const SLASH_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2}),?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+// Day first with dots: 01.11.2026, 01.11.2026 09:30
+const DOT_DATE = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+// Excel/Sheets serial day number: 46327 or 46327.395833
+const SERIAL_DATE = /^\d{5}(?:\.\d+)?$/;
+
+// Day 0 of spreadsheet serial numbers (Excel's 1900 leap-year bug is folded in)
+const SERIAL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a time zone name (e.g. "Europe/Berlin") is known to the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a UTC timestamp in a time zone
+ */
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(timestamp));
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+/**
+ * Convert wall-clock parts in a time zone to a Date
+ * Two passes so times next to a DST change pick up the offset in force at that time
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetAt = (timestamp) => {
+    const zoned = getZonedParts(timestamp, timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - Math.floor(timestamp / 1000) * 1000;
+  };
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+}
+
+/**
+ * Check the ranges of parsed date parts (rejects 2026-02-30, 25:00 and the like)
+ */
+function isValidParts({ year, month, day, hour, minute, second }) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return false;
+  return hour <= 23 && minute <= 59 && second <= 59;
+}
+
+/**
+ * Parse a date cell into { parts, offsetMinutes }
+ * offsetMinutes is set only when the value carries its own offset (Z or +02:00); otherwise the
+ * parts are wall-clock time in whatever time zone the caller applies. Returns null if unparseable.
+ */
+export function parseDateValue(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let parts;
+  let offsetMinutes = null;
+  let match;
+
+  if ((match = text.match(ISO_DATE))) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0, offset] = match;
+    parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+    if (offset) {
+      if (offset.toUpperCase() === 'Z') {
+        offsetMinutes = 0;
+      } else {
+        const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+        offsetMinutes = (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10));
+      }
+    }
+  } else if ((match = text.match(SLASH_DATE))) {
+    const [, month, day, year, hour = 0, minute = 0, second = 0, meridiem] = match;
+    let hours = +hour;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    const fullYear = year.length === 2 ? 2000 + +year : +year;
+    parts = { year: fullYear, month: +month, day: +day, hour: hours, minute: +minute, second: +second };
+  } else if ((match = text.match(DOT_DATE))) {
+    const [, day, month, year, hour = 0, minute = 0, second = 0] = match;
+    parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+  } else if (SERIAL_DATE.test(text)) {
+    // Serial numbers count days (and fractions of a day) of wall-clock time
+    const wallClock = new Date(SERIAL_EPOCH + Math.round(parseFloat(text) * DAY_MS / 1000) * 1000);
+    parts = {
+      year: wallClock.getUTCFullYear(),
+      month: wallClock.getUTCMonth() + 1,
+      day: wallClock.getUTCDate(),
+      hour: wallClock.getUTCHours(),
+      minute: wallClock.getUTCMinutes(),
+      second: wallClock.getUTCSeconds(),
+    };
+  } else {
+    return null;
+  }
+
+  return isValidParts(parts) ? { parts, offsetMinutes } : null;
+}
+
+/**
+ * Resolve a date cell to a Date; values without their own offset are read in timeZone
+ */
+export function resolveDateValue(value, timeZone = 'UTC') {
+  const parsed = parseDateValue(value);
+  if (!parsed) return null;
+
+  const { parts, offsetMinutes } = parsed;
+  if (offsetMinutes !== null) {
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(asUtc - offsetMinutes * 60 * 1000);
+  }
+  return zonedTimeToDate(parts, timeZone);
+}
+
+/**
+ * Get the publish date of a row: `date` is in the site time zone, `date_gmt` in UTC
+ * Returns null when neither column is filled; throws on values that cannot be read
+ */
+export function resolvePostDate(row, timeZone = 'UTC') {
+  const local = row.date?.trim();
+  const gmt = row.date_gmt?.trim();
+  if (local && gmt) {
+    throw new Error('Use either date or date_gmt, not both');
+  }
+  if (!local && !gmt) return null;
+
+  const column = local ? 'date' : 'date_gmt';
+  const date = resolveDateValue(local || gmt, local ? timeZone : 'UTC');
+  if (!date) {
+    throw new Error(`Invalid ${column} "${local || gmt}": use YYYY-MM-DD HH:MM, MM/DD/YYYY HH:MM or DD.MM.YYYY HH:MM`);
+  }
+  return date;
+}
+
+/**
+ * Check a scheduled post's date; returns an error message, or null when it is fine
+ */
+export function checkScheduledDate(status, date, now = new Date()) {
+  if (status !== 'future' || !date) return null;
+  if (date.getTime() <= now.getTime()) {
+    return `Scheduled date ${date.toISOString()} is in the past; status "future" needs a date still to come`;
+  }
+  return null;
+}
+
+/**
+ * Format a Date the way the REST API expects date_gmt (no offset, always UTC)
+ */
+export function toGmtString(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+/**
+ * Format a Date as wall-clock time in a time zone, for log messages
+ */
+export function formatInTimeZone(date, timeZone = 'UTC') {
+  const parts = getZonedParts(date.getTime(), timeZone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)} ${timeZone}`;
+}
+
+/**
+ * Effective publish date of a saved post as a UTC ISO string, or null when WordPress did not return one
+ */
+export function getPostDate(post) {
+  return post?.date_gmt ? new Date(`${post.date_gmt}Z`).toISOString() : null;
+}
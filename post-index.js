@@ -0,0 +1,156 @@
+// Placeholder ID for a title a row of this run is about to create (see claimTitle)
+export const PENDING_POST = 'pending';
+
+/**
+ * Normalize title for comparison (remove HTML entities and tags, trim, lowercase)
+ */
+export function normalizeTitle(str) {
+  if (!str) return '';
+  return str
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
+    .replace(/&amp;/g, '&') // Replace &amp; with &
+    .replace(/&quot;/g, '"') // Replace &quot; with "
+    .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
+    .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
+    .replace(/&#39;/g, "'") // Replace &#39; with '
+    .replace(/&#038;/g, '&') // Replace &#038; with &
+    .replace(/&[^;]+;/g, '') // Remove any other HTML entities
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Normalize slug for comparison
+ */
+function normalizeSlug(slug) {
+  return (slug || '').trim().toLowerCase();
+}
+
+/**
+ * Get the title string from a REST API post object (or a plain string)
+ */
+function getPostTitle(post) {
+  return post.title?.rendered || post.title?.raw || (typeof post.title === 'string' ? post.title : '');
+}
+
+/**
+ * Create an empty in-memory index of posts by normalized title and slug
+ */
+export function createPostIndex() {
+  const byTitle = new Map();
+  // Slug -> post IDs, newest first; pages under different parents can share a slug
+  const bySlug = new Map();
+  const keysById = new Map();
+
+  const index = {
+    /**
+     * Add or refresh a post ({ id, title, slug, parent }); stale title/slug keys for the same ID are dropped
+     */
+    add(post) {
+      const previous = keysById.get(post.id);
+      if (previous) {
+        if (byTitle.get(previous.title) === post.id) byTitle.delete(previous.title);
+        const ids = (bySlug.get(previous.slug) || []).filter(id => id !== post.id);
+        if (ids.length > 0) bySlug.set(previous.slug, ids);
+        else bySlug.delete(previous.slug);
+      }
+      const title = normalizeTitle(getPostTitle(post));
+      const slug = normalizeSlug(post.slug);
+      // Keep the first (newest) post when titles collide, like the old paginated scan did
+      if (title && (!byTitle.has(title) || byTitle.get(title) === PENDING_POST)) byTitle.set(title, post.id);
+      if (slug) bySlug.set(slug, [...(bySlug.get(slug) || []), post.id]);
+      keysById.set(post.id, { title, slug, parent: post.parent ?? previous?.parent ?? null });
+    },
+
+    findByTitle(title) {
+      const id = byTitle.get(normalizeTitle(title));
+      return id === PENDING_POST ? null : id || null;
+    },
+
+    /**
+     * Find a post by slug; with a parent ID (0 = top level) only that parent's children match
+     */
+    findBySlug(slug, parent = null) {
+      const ids = bySlug.get(normalizeSlug(slug)) || [];
+      if (parent === null) return ids[0] || null;
+      return ids.find(id => (keysById.get(id).parent ?? 0) === parent) || null;
+    },
+
+    /**
+     * Atomically check a title for duplicates and reserve it for the calling row
+     * Returns the existing post ID, PENDING_POST if another row of this run is creating it, or null when free
+     */
+    claimTitle(title) {
+      const key = normalizeTitle(title);
+      if (byTitle.has(key)) return byTitle.get(key);
+      byTitle.set(key, PENDING_POST);
+      return null;
+    },
+
+    /**
+     * Release a claimed title when the row that claimed it did not create the post
+     */
+    releaseTitle(title) {
+      const key = normalizeTitle(title);
+      if (byTitle.get(key) === PENDING_POST) byTitle.delete(key);
+    },
+
+    get size() {
+      return keysById.size;
+    },
+  };
+
+  return index;
+}
+
+/**
+ * Build the index from every post on the site (all statuses), fetching only the fields it needs
+ * restBase selects the post type's collection (posts, pages, or a custom post type's REST base)
+ */
+export async function buildPostIndex(apiInstance, restBase = 'posts') {
+  const index = createPostIndex();
+  const perPage = 100;
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: {
+        per_page: perPage,
+        page: page,
+        status: 'any', // Include all statuses: publish, draft, private, pending, future
+        orderby: 'date',
+        order: 'desc',
+        _fields: 'id,title,slug,parent',
+      },
+    });
+
+    if (!response.data || response.data.length === 0) break;
+    response.data.forEach(post => index.add(post));
+
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '0', 10) || (response.data.length < perPage ? page : page + 1);
+    page++;
+  } while (page <= totalPages);
+
+  return index;
+}
+
+/**
+ * Build one index per post type; returns a Map of REST base -> index
+ */
+export async function buildPostIndexes(apiInstance, restBases) {
+  const indexes = new Map();
+  for (const restBase of new Set(restBases)) {
+    indexes.set(restBase, await buildPostIndex(apiInstance, restBase));
+  }
+  return indexes;
+}
+
+/**
+ * Total number of posts across the indexes returned by buildPostIndexes
+ */
+export function countIndexedPosts(indexes) {
+  return [...indexes.values()].reduce((total, index) => total + index.size, 0);
+}
@@ -0,0 +1,38 @@
+// Prefix of the columns that set one post meta key each: meta:<key>
+export const META_COLUMN_PREFIX = 'meta:';
+
+/**
+ * Parse a cell holding a JSON object (acf_json, meta_json)
+ * Returns null for an empty cell; throws when the value is not valid JSON or not an object
+ */
+export function parseJsonObject(value, label) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Invalid ${label}: ${parseError.message}`);
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid ${label}: expected an object like {"key": "value"}`);
+  }
+  return data;
+}
+
+/**
+ * Build the post meta of a row from meta_json and the meta:<key> columns
+ * A filled meta:<key> cell wins over the same key in meta_json; throws on invalid meta_json
+ */
+export function buildRowMeta(row) {
+  const meta = { ...parseJsonObject(row.meta_json, 'meta JSON') };
+  for (const [column, value] of Object.entries(row)) {
+    if (!column.startsWith(META_COLUMN_PREFIX) || !String(value ?? '').trim()) continue;
+    const key = column.slice(META_COLUMN_PREFIX.length).trim();
+    if (key) {
+      meta[key] = String(value).trim();
+    }
+  }
+  return meta;
+}
@@ -0,0 +1,145 @@
+// Prefix of the columns that assign terms of any taxonomy: tax:<taxonomy>
+export const TAXONOMY_COLUMN_PREFIX = 'tax:';
+
+// Used when no post_type is given; also what the scripts did before post types were configurable
+export const DEFAULT_POST_TYPE = {
+  slug: 'post',
+  name: 'Posts',
+  restBase: 'posts',
+  hierarchical: false,
+  taxonomies: ['category', 'post_tag'],
+};
+
+/**
+ * Normalize a post type or taxonomy reference for comparison
+ */
+function normalizeKey(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Find an entry of a /types or /taxonomies response by slug, REST base or name
+ */
+function findEntry(entries, value) {
+  const key = normalizeKey(value);
+  return entries.find(entry => [entry.slug, entry.rest_base, entry.name].some(field => normalizeKey(field) === key)) || null;
+}
+
+/**
+ * Load the post types and taxonomies the site exposes through the REST API
+ * Returns { resolvePostType, resolveTaxonomy }; both throw with the available choices when nothing matches
+ */
+export async function loadPostTypes(apiInstance) {
+  const [typesResponse, taxonomiesResponse] = await Promise.all([
+    apiInstance.get('/types'),
+    apiInstance.get('/taxonomies'),
+  ]);
+  const types = Object.values(typesResponse.data || {});
+  const taxonomies = Object.values(taxonomiesResponse.data || {});
+
+  return {
+    /**
+     * Resolve a post type slug ("recipe"), REST base ("recipes") or name to { slug, name, restBase, hierarchical, taxonomies }
+     */
+    resolvePostType(value) {
+      const type = findEntry(types, value);
+      if (!type) {
+        throw new Error(`Unknown post type "${value}". Available: ${types.map(entry => entry.slug).join(', ')}`);
+      }
+      // The API client only talks to wp/v2; types under another namespace need their own client
+      if (type.rest_namespace && type.rest_namespace !== 'wp/v2') {
+        throw new Error(`Post type "${value}" is served under /${type.rest_namespace}, which is not supported`);
+      }
+      return {
+        slug: type.slug,
+        name: type.name,
+        restBase: type.rest_base || type.slug,
+        hierarchical: Boolean(type.hierarchical),
+        taxonomies: type.taxonomies || [],
+      };
+    },
+
+    /**
+     * Resolve a taxonomy slug ("recipe_cuisine"), REST base or name to { slug, name, restBase, hierarchical }
+     */
+    resolveTaxonomy(value) {
+      const taxonomy = findEntry(taxonomies, value);
+      if (!taxonomy) {
+        throw new Error(`Unknown taxonomy "${value}". Available: ${taxonomies.map(entry => entry.slug).join(', ')}`);
+      }
+      return {
+        slug: taxonomy.slug,
+        name: taxonomy.name,
+        restBase: taxonomy.rest_base || taxonomy.slug,
+        hierarchical: Boolean(taxonomy.hierarchical),
+      };
+    },
+  };
+}
+
+/**
+ * Resolve the post type of every row and the taxonomy of every tax:<taxonomy> column
+ * defaultPostType is the run-level post type for rows without a post_type value
+ * Returns { rowTypes, taxonomyColumns, errors }: rowTypes[i] is the post type of row i + 1,
+ * taxonomyColumns lists { column, slug, restBase, hierarchical }, and errors uses the
+ * { rowNumber, column, message } shape of csv-validation.js
+ */
+export function resolveRowTypes(rows, registry, defaultPostType = 'post') {
+  const errors = [];
+  const addError = (rowNumber, column, message) => errors.push({ rowNumber, column, message });
+
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const taxonomyColumns = [];
+  for (const column of headers.filter(header => header.startsWith(TAXONOMY_COLUMN_PREFIX))) {
+    try {
+      taxonomyColumns.push({ column, ...registry.resolveTaxonomy(column.slice(TAXONOMY_COLUMN_PREFIX.length)) });
+    } catch (error) {
+      addError(null, column, error.message);
+    }
+  }
+
+  const cache = new Map();
+  const rowTypes = rows.map((row, index) => {
+    const value = row.post_type?.trim() || defaultPostType;
+    const column = row.post_type?.trim() ? 'post_type' : null;
+    if (!cache.has(value)) {
+      try {
+        cache.set(value, registry.resolvePostType(value));
+      } catch (error) {
+        cache.set(value, error);
+      }
+    }
+    const type = cache.get(value);
+    if (type instanceof Error) {
+      addError(column ? index + 1 : null, column || 'post_type', type.message);
+      return null;
+    }
+
+    // WordPress silently drops terms of taxonomies the post type does not use
+    const usedTaxonomies = [
+      ['categories', 'category'],
+      ['tags', 'post_tag'],
+      ...taxonomyColumns.map(taxonomy => [taxonomy.column, taxonomy.slug]),
+    ];
+    for (const [taxonomyColumn, slug] of usedTaxonomies) {
+      if (row[taxonomyColumn]?.trim() && !type.taxonomies.includes(slug)) {
+        addError(index + 1, taxonomyColumn, `Post type "${type.slug}" does not use the taxonomy "${slug}"`);
+      }
+    }
+    // Only hierarchical types (pages and the like) have parents
+    if (row.parent?.trim() && !type.hierarchical) {
+      addError(index + 1, 'parent', `Post type "${type.slug}" is not hierarchical, so it has no parent`);
+    }
+    // WordPress only has sticky posts, not sticky pages or custom post types
+    if (row.sticky?.trim() && type.slug !== 'post') {
+      addError(index + 1, 'sticky', `Post type "${type.slug}" cannot be sticky`);
+    }
+    return type;
+  });
+
+  // An unknown run-level post type is reported once, not for every row
+  const uniqueErrors = errors.filter((error, index) =>
+    error.rowNumber !== null || errors.findIndex(other => other.rowNumber === null && other.message === error.message) === index);
+
+  return { rowTypes, taxonomyColumns, errors: uniqueErrors };
+}
@@ -7,6 +7,22 @@ const resultSection = document.getElementById('resultSection');
 const errorSection = document.getElementById('errorSection');
 const errorMessage = document.getElementById('errorMessage');
 const actionText = document.getElementById('actionText');
+const dryRunInput = document.getElementById('dryRun');
+const resumeBtn = document.getElementById('resumeBtn');
+const concurrencyInput = document.getElementById('concurrency');
+const contentFormatSelect = document.getElementById('contentFormat');
+const postTypeInput = document.getElementById('postType');
+const sheetInput = document.getElementById('sheet');
+const columnProfileOption = document.getElementById('columnProfileOption');
+const columnProfileSelect = document.getElementById('columnProfile');
+const rehostImagesInput = document.getElementById('rehostImages');
+const convertBlocksInput = document.getElementById('convertBlocks');
+const createAuthorsInput = document.getElementById('createAuthors');
+const clientSelector = document.getElementById('clientSelector');
+const clientSelect = document.getElementById('clientSelect');
+
+// Set by the Resume button; consumed by the next form submission
+let resumeRequested = false;
 
 const fileLabel = document.getElementById('fileLabel');
 const fileText = document.getElementById('fileText');
@@ -52,11 +68,56 @@ clearFileBtn.addEventListener('click', (e) => {
     }
 });
 
-// CTS-only mode - no client selection needed
+// Load configured WordPress sites; the picker is only shown when there is a choice
+async function loadClients() {
+    try {
+        const response = await fetch('/api/clients', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success || !data.clients) return;
+
+        // Built as elements: site IDs and names come from the client registry and may hold quotes
+        clientSelect.replaceChildren(...data.clients.map(client => new Option(`${client.name} (${client.site})`, client.id)));
+        clientSelector.style.display = data.clients.length > 1 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Failed to load sites:', error);
+    }
+}
+
+loadClients();
+
+// Load stored column profiles; the picker is only shown when profiles.json has some
+async function loadColumnProfiles() {
+    try {
+        const response = await fetch('/api/profiles', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success || !data.profiles) return;
+
+        // Built as elements: profile names and descriptions come from profiles.json and may hold quotes
+        columnProfileSelect.replaceChildren(new Option('None (headers are column names)', ''), ...data.profiles.map(profile => {
+            const option = new Option(profile.name, profile.id);
+            option.title = profile.description;
+            return option;
+        }));
+        columnProfileOption.style.display = data.profiles.length > 0 ? '' : 'none';
+    } catch (error) {
+        console.error('Failed to load column profiles:', error);
+    }
+}
+
+loadColumnProfiles();
+
+// Resume: resubmit the same file, skipping rows a previous run already completed
+resumeBtn.addEventListener('click', () => {
+  resumeRequested = true;
+  form.requestSubmit();
+});
 
 // Handle form submission
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
+
+  const resume = resumeRequested;
+  resumeRequested = false;
   
   const file = fileInput.files[0];
   if (!file) {
@@ -96,6 +157,7 @@ form.addEventListener('submit', async (e) => {
   
   // Disable form
   uploadBtn.disabled = true;
+  resumeBtn.disabled = true;
   uploadBtn.querySelector('.btn-text').style.display = 'none';
   uploadBtn.querySelector('.btn-loader').style.display = 'inline';
 
@@ -107,7 +169,26 @@ form.addEventListener('submit', async (e) => {
     const formData = new FormData();
     formData.append('csvfile', file);
     formData.append('sessionId', sessionId);
-    // CTS-only: no client ID needed, uses default config
+    formData.append('dryRun', dryRunInput.checked ? 'true' : 'false');
+    formData.append('resume', resume ? 'true' : 'false');
+    // Left empty, the site's own concurrency setting applies
+    if (concurrencyInput.value.trim()) {
+        formData.append('concurrency', concurrencyInput.value.trim());
+    }
+    formData.append('contentFormat', contentFormatSelect.value);
+    formData.append('postType', postTypeInput.value.trim() || 'post');
+    if (sheetInput.value.trim()) {
+      formData.append('sheet', sheetInput.value.trim());
+    }
+    if (columnProfileSelect.value) {
+      formData.append('columnProfile', columnProfileSelect.value);
+    }
+    formData.append('rehostImages', rehostImagesInput.checked ? 'true' : 'false');
+    formData.append('convertBlocks', convertBlocksInput.checked ? 'true' : 'false');
+    formData.append('createAuthors', createAuthorsInput.checked ? 'true' : 'false');
+    if (clientSelect.value) {
+      formData.append('clientId', clientSelect.value);
+    }
 
     const response = await fetch(endpoint, {
       method: 'POST',
@@ -130,14 +211,17 @@ form.addEventListener('submit', async (e) => {
       setTimeout(() => {
         showResults(data.result);
       }, 500);
+    } else if (data.validationErrors && data.validationErrors.length) {
+      showValidationErrors(data.error, data.validationErrors);
     } else {
-      showError(data.error || 'Upload failed');
+      showError(escapeHtml(data.error || 'Upload failed'));
     }
   } catch (error) {
-    showError('Error: ' + error.message);
+    showError('Error: ' + escapeHtml(error.message));
   } finally {
     // Re-enable form
     uploadBtn.disabled = false;
+    resumeBtn.disabled = false;
     uploadBtn.querySelector('.btn-text').style.display = 'inline';
     uploadBtn.querySelector('.btn-loader').style.display = 'none';
     progressSection.style.display = 'none';
@@ -157,6 +241,9 @@ function showResults(result) {
     document.getElementById('failedCount').textContent = result.failed;
     document.getElementById('totalCount').textContent = result.total;
     document.getElementById('duration').textContent = result.duration + 's';
+    document.querySelector('#resultSection h2').innerHTML = result.dryRun
+        ? '<i class="fas fa-search"></i> Dry Run Plan'
+        : '<i class="fas fa-chart-bar"></i> Upload Results';
 
     // Build results table
     const table = document.createElement('table');
@@ -184,18 +271,22 @@ function showResults(result) {
                 return `
                 <tr>
                     <td>${r.rowNumber}</td>
-                    <td>${r.title}</td>
+                    <td>${escapeHtml(r.title || '')}</td>
                     <td class="${r.error ? 'status-failed' : 'status-success'}">
-                        ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : '<i class="fas fa-check-circle"></i> ' + (r.action || 'Success')}
+                        ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : '<i class="fas fa-check-circle"></i> ' + escapeHtml(r.action || 'Success')}
+                        ${r.plan && r.plan.length ? `<span class="plan-list">${r.plan.map(escapeHtml).join('<br>')}</span>` : ''}
+                        ${r.retries ? `<span class="plan-list"><i class="fas fa-redo"></i> ${r.retries} ${r.retries === 1 ? 'retry' : 'retries'}</span>` : ''}
                     </td>
                     <td class="${postStatusClass}">
                         ${postStatus === 'publish' ? '<i class="fas fa-globe"></i> Published' : 
                          postStatus === 'draft' ? '<i class="fas fa-file-alt"></i> Draft' : 
                          postStatus === 'private' ? '<i class="fas fa-lock"></i> Private' :
-                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' : postStatus}
+                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' :
+                         postStatus === 'future' ? '<i class="fas fa-calendar-alt"></i> Scheduled' : escapeHtml(postStatus)}
+                        ${r.date ? `<span class="plan-list">${new Date(r.date).toLocaleString()}</span>` : ''}
                     </td>
-                    <td>${r.postId || '-'}</td>
-                    <td>${r.error || '-'}</td>
+                    <td>${escapeHtml(String(r.postId || '-'))}</td>
+                    <td>${escapeHtml(r.error || '-')}</td>
                 </tr>
             `;
             }).join('')}
@@ -240,7 +331,7 @@ function connectToProgress(sessionId) {
                 icon = '<i class="fas fa-info-circle"></i>';
             }
             
-            messageDiv.innerHTML = `${icon} ${data.message}`;
+            messageDiv.innerHTML = `${icon} ${escapeHtml(data.message)}`;
             progressMessages.appendChild(messageDiv);
             
             // Auto-scroll to bottom
@@ -264,6 +355,21 @@ function showError(message) {
     errorSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Show the pre-flight validation report (one line per problem)
+function showValidationErrors(message, errors) {
+    const items = errors.map(error => {
+        const location = error.rowNumber ? `Row ${error.rowNumber}` : 'Header';
+        return `<li><strong>${location}</strong> [${escapeHtml(error.column)}]: ${escapeHtml(error.message)}</li>`;
+    }).join('');
+    showError(`<i class="fas fa-exclamation-circle"></i> ${escapeHtml(message)}<ul class="validation-errors">${items}</ul>`);
+}
+
 // Logout functionality
 const logoutBtn = document.getElementById('logoutBtn');
 if (logoutBtn) {
@@ -0,0 +1,102 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { parseRetryAfter } from './concurrency.js';
+
+// Statuses worth retrying; everything else (400, 401, 403, 404, ...) fails immediately
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Statuses/errors where the server did not process the request, so even a create can be repeated
+const NOT_PROCESSED_STATUSES = [429, 503];
+const NOT_PROCESSED_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', ...NOT_PROCESSED_CODES];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_DELAY_MS = 30000;
+// A Retry-After longer than this is treated as "give up" rather than stalling the run
+const MAX_RETRY_AFTER_MS = 120000;
+
+// Per-row retry counter (see withRetryTracking)
+const retryContext = new AsyncLocalStorage();
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether repeating a request cannot create a second copy of something
+ * POST to an existing resource (/posts/123) is an update in the WordPress REST API, so it is safe too.
+ * Callers can override with `retrySafe` on the request config.
+ */
+function isIdempotent(config) {
+  if (typeof config.retrySafe === 'boolean') return config.retrySafe;
+  const method = (config.method || 'get').toLowerCase();
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+  return method === 'post' && /\/\d+\/?$/.test(config.url || '');
+}
+
+/**
+ * Decide whether a failed request should be retried
+ */
+function shouldRetry(error) {
+  const status = error.response?.status;
+  const isNetworkError = !error.response && NETWORK_ERROR_CODES.includes(error.code);
+  if (!isNetworkError && !RETRYABLE_STATUSES.includes(status)) return false;
+
+  if (isIdempotent(error.config)) return true;
+  // Non-idempotent requests only when the server certainly did not act on them
+  return NOT_PROCESSED_STATUSES.includes(status) || NOT_PROCESSED_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter: half the window is fixed, half is random
+ * A Retry-After header, when present, is used as the minimum wait
+ */
+function getRetryDelay(attempt, baseDelayMs, retryAfterMs) {
+  const window = Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** (attempt - 1));
+  const backoff = window / 2 + Math.random() * (window / 2);
+  return Math.round(Math.max(backoff, retryAfterMs));
+}
+
+/**
+ * Retry transient failures on an axios instance
+ * Attach after the rate limiter so its 429/503 handling runs first
+ */
+export function attachRetry(apiInstance, { maxRetries = 3, baseDelayMs = 1000 } = {}) {
+  apiInstance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error.config;
+      if (!config || maxRetries <= 0 || !shouldRetry(error)) {
+        return Promise.reject(error);
+      }
+
+      const attempt = (config.retryCount || 0) + 1;
+      const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (attempt > maxRetries || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        return Promise.reject(error);
+      }
+      config.retryCount = attempt;
+
+      const delay = getRetryDelay(attempt, baseDelayMs, retryAfterMs);
+      const reason = error.response?.status || error.code;
+      console.warn(`🔁 ${config.method?.toUpperCase()} ${config.url} failed (${reason}). Retry ${attempt}/${maxRetries} in ${delay}ms`);
+
+      const stats = retryContext.getStore();
+      if (stats) stats.retries++;
+
+      await sleep(delay);
+      return apiInstance.request(config);
+    }
+  );
+  return apiInstance;
+}
+
+/**
+ * Run fn and count the retries made by any request it (indirectly) issues
+ * Returns { value, retries }
+ */
+export async function withRetryTracking(fn) {
+  const stats = { retries: 0 };
+  const value = await retryContext.run(stats, fn);
+  return { value, retries: stats.retries };
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isMarkdownFolder, listMarkdownFiles } from './markdown-folder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the directory journals are written to
+ * Use /tmp on Vercel (serverless), or journals/ next to the scripts for local development
+ */
+function getJournalDir() {
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  return isVercel ? path.join('/tmp', 'journals') : path.resolve(__dirname, 'journals');
+}
+
+/**
+ * Hash the CSV contents so a journal only ever applies to the exact same file
+ * A folder of Markdown files is hashed by the names and contents of its files
+ * sheet: the sheet read from a workbook, so each sheet of the same file keeps its own journal
+ * profile: the column profile applied to the rows, so a changed mapping starts a new journal
+ */
+export function hashCsvFile(filePath, { sheet = null, profile = null } = {}) {
+  const fullPath = path.isAbsolute(filePath)
+    ? filePath
+    : path.resolve(__dirname, filePath);
+  const hash = crypto.createHash('sha256');
+  if (isMarkdownFolder(fullPath)) {
+    for (const file of listMarkdownFiles(fullPath)) {
+      hash.update(`${path.relative(fullPath, file)}\0`).update(fs.readFileSync(file)).update('\0');
+    }
+  } else {
+    hash.update(fs.readFileSync(fullPath));
+  }
+  if (sheet) {
+    hash.update(`\0sheet:${String(sheet).toLowerCase()}`);
+  }
+  if (profile) {
+    hash.update(`\0profile:${JSON.stringify(profile)}`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Open the checkpoint journal for a CSV run
+ * kind: 'import' or 'update'; siteId: the target site, so the same CSV sent to two sites keeps two journals
+ * sheet, profile: the workbook sheet being read and the column profile applied (see hashCsvFile)
+ * resume: keep and reuse the existing journal instead of starting over
+ * Returns { csvHash, journalPath, completed, record } where completed maps rowNumber -> journal entry
+ * of every row that already succeeded, and record(result) appends a row outcome to the journal
+ */
+export function openJournal(csvPath, kind, { resume = false, readOnly = false, siteId = null, sheet = null, profile = null } = {}) {
+  const csvHash = hashCsvFile(csvPath, { sheet, profile });
+  const journalDir = getJournalDir();
+  const sitePart = siteId ? `${String(siteId).replace(/[^a-zA-Z0-9_-]/g, '_')}-` : '';
+  const journalPath = path.join(journalDir, `${kind}-${sitePart}${csvHash.slice(0, 16)}.jsonl`);
+  const completed = new Map();
+
+  if (resume && fs.existsSync(journalPath)) {
+    const lines = fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A crash can leave a half-written last line; ignore it
+        continue;
+      }
+      if (entry.csvHash !== csvHash) continue;
+      if (entry.outcome === 'failed') {
+        completed.delete(entry.rowNumber);
+      } else {
+        completed.set(entry.rowNumber, entry);
+      }
+    }
+  }
+
+  if (!readOnly) {
+    fs.mkdirSync(journalDir, { recursive: true });
+    if (!resume) {
+      // Fresh run: start a new journal for this CSV
+      fs.writeFileSync(journalPath, '');
+    }
+  }
+
+  const record = (result) => {
+    if (readOnly) return;
+    const entry = {
+      csvHash,
+      rowNumber: result.rowNumber,
+      outcome: result.error ? 'failed' : result.action,
+      postId: result.postId,
+      status: result.status,
+      title: result.title,
+      timestamp: new Date().toISOString(),
+    };
+    try {
+      fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.warn(`⚠️  Could not write journal entry for row ${result.rowNumber}: ${error.message}`);
+    }
+  };
+
+  return { csvHash, journalPath, completed, record };
+}
+
+/**
+ * Build the log result for a row skipped because the journal says it is already done
+ */
+export function resumedResult(entry) {
+  return {
+    rowNumber: entry.rowNumber,
+    title: entry.title,
+    action: 'skipped',
+    postId: entry.postId,
+    status: entry.status,
+    error: null,
+    resumed: true,
+  };
+}
@@ -0,0 +1,99 @@
+// SEO columns, mapped to the meta keys of the active SEO plugin
+export const SEO_COLUMNS = ['seo_title', 'seo_description', 'focus_keyword', 'canonical', 'noindex'];
+
+// Supported plugins: the REST namespace that gives each away, and its post meta keys
+export const SEO_PLUGINS = {
+  yoast: {
+    name: 'Yoast SEO',
+    namespace: 'yoast/v1',
+    meta: {
+      seo_title: '_yoast_wpseo_title',
+      seo_description: '_yoast_wpseo_metadesc',
+      focus_keyword: '_yoast_wpseo_focuskw',
+      canonical: '_yoast_wpseo_canonical',
+      noindex: '_yoast_wpseo_meta-robots-noindex',
+    },
+    // '1' = noindex, '2' = index (an explicit choice rather than the post type default)
+    noindexValue: noindex => (noindex ? '1' : '2'),
+  },
+  rankmath: {
+    name: 'Rank Math',
+    namespace: 'rankmath/v1',
+    meta: {
+      seo_title: 'rank_math_title',
+      seo_description: 'rank_math_description',
+      focus_keyword: 'rank_math_focus_keyword',
+      canonical: 'rank_math_canonical_url',
+      noindex: 'rank_math_robots',
+    },
+    noindexValue: noindex => [noindex ? 'noindex' : 'index'],
+  },
+};
+
+/**
+ * Read a yes/no cell: returns true, false, or null when the value is not a boolean
+ */
+export function parseBoolean(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(text)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Check whether a row fills any SEO column
+ */
+export function hasSeoColumns(row) {
+  return SEO_COLUMNS.some(column => row[column]?.trim());
+}
+
+/**
+ * Detect the active SEO plugin from the namespaces listed in the REST API index
+ * configured ('yoast', 'rankmath' or 'none', from SEO_PLUGIN / the client registry) skips detection
+ * Returns the plugin key or null
+ */
+export async function detectSeoPlugin(apiInstance, siteUrl, configured = null) {
+  if (configured) {
+    return configured === 'none' ? null : configured;
+  }
+  const response = await apiInstance.get(`${siteUrl}/wp-json/`, { params: { _fields: 'namespaces' } });
+  const namespaces = response.data?.namespaces || [];
+  return Object.keys(SEO_PLUGINS).find(key => namespaces.includes(SEO_PLUGINS[key].namespace)) || null;
+}
+
+/**
+ * Build the post meta for a row's SEO columns (only the ones filled in)
+ */
+export function buildSeoMeta(row, pluginKey) {
+  const plugin = SEO_PLUGINS[pluginKey];
+  const meta = {};
+  if (!plugin) return meta;
+
+  for (const column of SEO_COLUMNS) {
+    const value = row[column]?.trim();
+    if (!value) continue;
+    meta[plugin.meta[column]] = column === 'noindex' ? plugin.noindexValue(parseBoolean(value)) : value;
+  }
+  return meta;
+}
+
+/**
+ * List the meta keys that were sent but are missing from the saved post
+ * WordPress silently drops meta keys that are not registered for the REST API
+ */
+export function getIgnoredMetaKeys(sentMeta, savedPost) {
+  const savedMeta = savedPost?.meta || {};
+  return Object.keys(sentMeta || {}).filter(key => !(key in savedMeta));
+}
+
+/**
+ * Validation errors (csv-validation.js shape) for SEO columns on a site without a supported SEO plugin
+ */
+export function checkSeoSupport(rows, pluginKey) {
+  if (pluginKey || !rows.some(hasSeoColumns)) return [];
+  return [{
+    rowNumber: null,
+    column: SEO_COLUMNS.find(column => rows.some(row => row[column]?.trim())),
+    message: 'SEO columns need Yoast SEO or Rank Math, and neither was detected on the site (set SEO_PLUGIN to choose one)',
+  }];
+}
@@ -5,8 +5,13 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
-import { processCsvFile, getAvailableClients as getUploadClients } from './bulk-upload.js';
-import { processUpdateCsvFile, getAvailableClients as getUpdateClients } from './bulk-update.js';
+import { processCsvFile } from './bulk-upload.js';
+import { processUpdateCsvFile } from './bulk-update.js';
+import { SPREADSHEET_EXTENSIONS } from './spreadsheets.js';
+import { JSON_EXTENSIONS } from './json-rows.js';
+import { WXR_EXTENSIONS } from './wxr.js';
+import { getAvailableClients } from './clients.js';
+import { getAvailableColumnProfiles } from './column-profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -53,10 +58,12 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const extensions = ['.csv', ...SPREADSHEET_EXTENSIONS, ...JSON_EXTENSIONS, ...WXR_EXTENSIONS];
+    if (file.mimetype === 'text/csv' || extensions.includes(extension)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed!'), false);
+      cb(new Error('Only CSV, XLSX, ODS, JSON, NDJSON or WordPress export (XML) files are allowed!'), false);
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
@@ -138,8 +145,7 @@ function requireAuth(req, res, next) {
   }
 
   // No valid session - redirect to login or return 401 for API calls
-  // Allow /api/clients without auth (it's safe, just returns available clients)
-  if ((req.path.startsWith('/api/') && req.path !== '/api/clients') || 
+  if (req.path.startsWith('/api/') || 
       req.path === '/upload' || 
       req.path === '/update' ||
       req.path.startsWith('/progress/') ||
@@ -300,6 +306,17 @@ app.get('/progress/:sessionId', (req, res) => {
   });
 });
 
+// Most rows a web run may process in parallel (the form's limit)
+const MAX_WEB_CONCURRENCY = 10;
+
+// Rows processed in parallel as sent by the form, kept within 1..MAX_WEB_CONCURRENCY;
+// undefined when the form left it empty, so the site's concurrency (clients.json) applies
+function parseConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  if (!concurrency) return undefined;
+  return Math.min(MAX_WEB_CONCURRENCY, Math.max(1, concurrency));
+}
+
 // Helper function to broadcast progress to all connections for a session
 function broadcastProgress(sessionId, progress) {
   const connections = sseConnections.get(sessionId);
@@ -323,10 +340,20 @@ app.post('/upload', upload.single('csvfile'), async (req, res) => {
   // Get sessionId and clientId from form data or generate one
   const sessionId = req.body.sessionId || Date.now().toString();
   const clientId = req.body.clientId || null;
+  const dryRun = req.body.dryRun === 'true';
+  const resume = req.body.resume === 'true';
+  const concurrency = parseConcurrency(req.body.concurrency);
+  const contentFormat = req.body.contentFormat || 'html';
+  const rehostImages = req.body.rehostImages === 'true';
+  const convertBlocks = req.body.convertBlocks === 'true';
+  const createAuthors = req.body.createAuthors === 'true';
+  const postType = req.body.postType || 'post';
+  const sheet = req.body.sheet || undefined;
+  const columnProfile = req.body.columnProfile || undefined;
 
   try {
     const csvPath = req.file.path;
-    console.log(`Processing uploaded file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
+    console.log(`Processing uploaded file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}${dryRun ? ' (dry run)' : ''}${resume ? ' (resume)' : ''}`);
     
     // Progress callback - broadcast immediately to SSE connections
     const progressCallback = (progress) => {
@@ -334,14 +361,14 @@ app.post('/upload', upload.single('csvfile'), async (req, res) => {
     };
     
     // Process the CSV file using the existing bulk upload logic
-    const result = await processCsvFile(csvPath, progressCallback, clientId);
+    const result = await processCsvFile(csvPath, progressCallback, clientId, { dryRun, resume, concurrency, contentFormat, rehostImages, convertBlocks, createAuthors, postType, sheet, columnProfile });
     
     // Clean up uploaded file after processing
     fs.unlinkSync(csvPath);
     
     res.json({
       success: true,
-      message: 'Upload completed successfully',
+      message: dryRun ? 'Dry run completed successfully' : 'Upload completed successfully',
       result: result,
       sessionId: sessionId
     });
@@ -355,6 +382,7 @@ app.post('/upload', upload.single('csvfile'), async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message || 'An error occurred during upload',
+      validationErrors: error.validationErrors,
       sessionId: sessionId
     });
   }
@@ -369,10 +397,20 @@ app.post('/update', upload.single('csvfile'), async (req, res) => {
   // Get sessionId and clientId from form data or generate one
   const sessionId = req.body.sessionId || Date.now().toString();
   const clientId = req.body.clientId || null;
+  const dryRun = req.body.dryRun === 'true';
+  const resume = req.body.resume === 'true';
+  const concurrency = parseConcurrency(req.body.concurrency);
+  const contentFormat = req.body.contentFormat || 'html';
+  const rehostImages = req.body.rehostImages === 'true';
+  const convertBlocks = req.body.convertBlocks === 'true';
+  const createAuthors = req.body.createAuthors === 'true';
+  const postType = req.body.postType || 'post';
+  const sheet = req.body.sheet || undefined;
+  const columnProfile = req.body.columnProfile || undefined;
 
   try {
     const csvPath = req.file.path;
-    console.log(`Processing update file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
+    console.log(`Processing update file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}${dryRun ? ' (dry run)' : ''}${resume ? ' (resume)' : ''}`);
     
     // Progress callback - broadcast immediately to SSE connections
     const progressCallback = (progress) => {
@@ -380,14 +418,14 @@ app.post('/update', upload.single('csvfile'), async (req, res) => {
     };
     
     // Process the CSV file using the bulk update logic
-    const result = await processUpdateCsvFile(csvPath, progressCallback, clientId);
+    const result = await processUpdateCsvFile(csvPath, progressCallback, clientId, { dryRun, resume, concurrency, contentFormat, rehostImages, convertBlocks, createAuthors, postType, sheet, columnProfile });
     
     // Clean up uploaded file after processing
     fs.unlinkSync(csvPath);
     
     res.json({
       success: true,
-      message: 'Update completed successfully',
+      message: dryRun ? 'Dry run completed successfully' : 'Update completed successfully',
       result: result,
       sessionId: sessionId
     });
@@ -401,21 +439,32 @@ app.post('/update', upload.single('csvfile'), async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message || 'An error occurred during update',
+      validationErrors: error.validationErrors,
       sessionId: sessionId
     });
   }
 });
 
-// Get available clients endpoint
+// Get available clients (sites) endpoint - names and URLs only, never credentials
 app.get('/api/clients', (req, res) => {
   try {
-    const clients = getUploadClients();
+    const clients = getAvailableClients();
     res.json({ success: true, clients });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Get stored column profiles endpoint - IDs, names and descriptions for the profile picker
+app.get('/api/profiles', (req, res) => {
+  try {
+    const profiles = getAvailableColumnProfiles();
+    res.json({ success: true, profiles });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'WordPress Bulk Uploader Server is running' });
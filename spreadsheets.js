@@ -0,0 +1,387 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// Workbook formats read besides CSV. Both are zip archives of XML, read here with zlib alone:
+// the spreadsheet packages on npm that handle ODS carry unfixed advisories for untrusted files,
+// and the web interface reads whatever is uploaded.
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.ods'];
+
+// Built-in Excel number formats that display dates and times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Largest sheet that is read: rows and cells holding a value, and the last column that may hold one
+// (repeated ODS cells and far-off XLSX references would otherwise let a tiny file fill the memory)
+export const MAX_ROWS = 100000;
+export const MAX_COLUMNS = 1024;
+export const MAX_CELLS = 2000000;
+// Days between the 1900 and 1904 date systems (Mac workbooks may use the latter)
+const DATE_1904_OFFSET = 1462;
+// Largest unpacked size of one workbook entry; the upload limit only applies to the packed file,
+// and a few KB of zip can unpack to gigabytes
+export const MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Check whether a file is a spreadsheet workbook (by extension)
+ */
+export function isSpreadsheet(filePath) {
+  return SPREADSHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Read the entries of a zip archive; returns a Map of entry name -> () => Buffer
+ */
+function readZip(buffer) {
+  // End of central directory record: the last 22+ bytes, found by its signature
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid workbook (zip directory not found)');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Not a valid workbook (broken zip directory)');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, () => {
+      // 0xFFFFFFFF marks a Zip64 size, which is bigger than any workbook read here anyway
+      if (size > MAX_ENTRY_SIZE || compressedSize > MAX_ENTRY_SIZE) {
+        throw new Error(`Workbook entry "${name}" is too large (over ${MAX_ENTRY_SIZE / 1024 / 1024} MB unpacked)`);
+      }
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        // The declared size can lie, so inflating stops at the limit as well
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Workbook entry "${name}" is too large (over ${MAX_ENTRY_SIZE / 1024 / 1024} MB unpacked)`);
+          }
+          throw new Error(`Workbook entry "${name}" is damaged: ${error.message}`);
+        }
+      }
+      throw new Error(`Unsupported compression in workbook entry "${name}"`);
+    });
+  }
+  return entries;
+}
+
+/**
+ * Read a zip entry as text, or null when the archive does not have it
+ */
+function readEntry(entries, name) {
+  const entry = entries.get(name);
+  return entry ? entry().toString('utf8') : null;
+}
+
+/**
+ * Decode XML entities
+ */
+export function decodeXml(text) {
+  return text
+    .replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+      const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[entity.toLowerCase()];
+      if (named) return named;
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    });
+}
+
+/**
+ * Parse the attributes of an XML start tag into an object (names keep their namespace prefix)
+ */
+function parseXmlAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Format a number the way a spreadsheet displays it (15 significant digits, no float noise)
+ */
+function formatNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? String(parseFloat(number.toPrecision(15))) : String(value);
+}
+
+/**
+ * Format an Excel serial date as "YYYY-MM-DD HH:MM:SS" (or "YYYY-MM-DD" at midnight), as wall-clock time
+ */
+function formatSerialDate(value, date1904 = false) {
+  const days = Number(value) + (date1904 ? DATE_1904_OFFSET : 0);
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400) * 1000);
+  const text = date.toISOString().slice(0, 19).replace('T', ' ');
+  return text.endsWith(' 00:00:00') ? text.slice(0, 10) : text;
+}
+
+/**
+ * Column index (0-based) of a cell reference such as "AB12"
+ */
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Fail the load when a sheet outgrows MAX_ROWS or MAX_CELLS
+ */
+function checkSheetSize(sheet, rowCount, cellCount) {
+  if (rowCount > MAX_ROWS) {
+    throw new Error(`Sheet "${sheet.name}" is too large: more than ${MAX_ROWS} rows`);
+  }
+  if (cellCount > MAX_CELLS) {
+    throw new Error(`Sheet "${sheet.name}" is too large: more than ${MAX_CELLS} cells`);
+  }
+}
+
+/**
+ * Fail the load when a value lies beyond MAX_COLUMNS (column is 0-based)
+ */
+function checkColumn(sheet, column) {
+  if (column >= MAX_COLUMNS) {
+    throw new Error(`Sheet "${sheet.name}" is too large: it has values beyond column ${MAX_COLUMNS}`);
+  }
+}
+
+/**
+ * Pick a sheet by name (case-insensitive) or 1-based position; the first sheet when none is asked for
+ */
+function pickSheet(sheets, wanted) {
+  if (sheets.length === 0) {
+    throw new Error('The workbook has no sheets');
+  }
+  const value = String(wanted ?? '').trim();
+  if (!value) return sheets[0];
+  const byName = sheets.find(sheet => sheet.name.toLowerCase() === value.toLowerCase());
+  if (byName) return byName;
+  if (/^\d+$/.test(value) && sheets[parseInt(value, 10) - 1]) return sheets[parseInt(value, 10) - 1];
+  throw new Error(`Sheet "${value}" not found. Available: ${sheets.map(sheet => sheet.name).join(', ')}`);
+}
+
+/**
+ * Indexes of the cell styles (cellXfs) that display dates, from xl/styles.xml
+ */
+function readDateStyles(stylesXml) {
+  const dateStyles = new Set();
+  if (!stylesXml) return dateStyles;
+
+  const customDateFormats = new Set();
+  for (const match of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) {
+    const { numFmtId, formatCode = '' } = parseXmlAttributes(match[0]);
+    // Date formats use d, m, y, h or s outside quoted text and [colour]/[locale] sections
+    const code = formatCode.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    if (/[dmyhs]/i.test(code)) customDateFormats.add(Number(numFmtId));
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  [...cellXfs.matchAll(/<xf\b[^>]*>/g)].forEach((match, index) => {
+    const numFmtId = Number(parseXmlAttributes(match[0]).numFmtId || 0);
+    if (BUILTIN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId)) dateStyles.add(index);
+  });
+  return dateStyles;
+}
+
+/**
+ * Text of a rich or plain string item (<si> or <is>), without phonetic runs
+ * Excel escapes control characters as _xHHHH_ (a carriage return is _x000D_)
+ */
+function readStringItem(xml) {
+  const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...text.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>|<t\b[^>]*\/>/g)]
+    .map(match => decodeXml(match[1] || ''))
+    .join('')
+    .replace(/_x([0-9A-F]{4})_/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Read the cell grid (array of rows of strings) of one sheet of an .xlsx workbook
+ * Rows without values are left out, as loadSpreadsheet skips them anyway
+ */
+function readXlsx(entries, wantedSheet) {
+  const workbookXml = readEntry(entries, 'xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('Not a valid .xlsx workbook (xl/workbook.xml missing)');
+  }
+  const relsXml = readEntry(entries, 'xl/_rels/workbook.xml.rels') || '';
+  const targets = new Map([...relsXml.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(match => parseXmlAttributes(match[0]))
+    .map(rel => [rel.Id, rel.Target]));
+  const sheets = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)].map(match => {
+    const attributes = parseXmlAttributes(match[0]);
+    const target = targets.get(attributes['r:id']) || '';
+    return { name: attributes.name, path: target.startsWith('/') ? target.slice(1) : `xl/${target}` };
+  });
+  const sheet = pickSheet(sheets, wantedSheet);
+
+  const sharedStringsXml = readEntry(entries, 'xl/sharedStrings.xml') || '';
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>|<si\b[^>]*\/>/g)].map(match => readStringItem(match[1] || ''));
+  const dateStyles = readDateStyles(readEntry(entries, 'xl/styles.xml'));
+  const date1904 = /<workbookPr\b[^>]*\bdate1904="(?:1|true)"/.test(workbookXml);
+
+  const sheetXml = readEntry(entries, sheet.path);
+  if (!sheetXml) {
+    throw new Error(`Sheet "${sheet.name}" is missing from the workbook`);
+  }
+
+  const grid = [];
+  let cellCount = 0;
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    let nextColumn = 0;
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = parseXmlAttributes(cellMatch[1]);
+      const column = attributes.r ? columnIndex(attributes.r) : nextColumn;
+      nextColumn = column + 1;
+      const body = cellMatch[2] || '';
+      const raw = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (attributes.t === 'inlineStr') {
+        value = readStringItem(body.match(/<is\b[^>]*>([\s\S]*?)<\/is>/)?.[1] || '');
+      } else if (raw === undefined) {
+        value = '';
+      } else if (attributes.t === 's') {
+        value = sharedStrings[parseInt(raw, 10)] ?? '';
+      } else if (attributes.t === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      } else if (attributes.t === 'str' || attributes.t === 'e') {
+        value = decodeXml(raw);
+      } else if (dateStyles.has(parseInt(attributes.s, 10))) {
+        value = formatSerialDate(raw, date1904);
+      } else {
+        value = formatNumber(raw);
+      }
+      // Empty cells may sit anywhere (formatting); only values are placed
+      if (value === '') continue;
+      checkColumn(sheet, column);
+      cells[column] = value;
+    }
+    if (cells.length === 0) continue;
+
+    cellCount += cells.length;
+    checkSheetSize(sheet, grid.length + 1, cellCount);
+    grid.push(Array.from(cells, cell => cell ?? ''));
+  }
+  return grid;
+}
+
+/**
+ * Text content of an ODS cell: paragraphs joined by newlines, with text:s / text:tab / text:line-break expanded
+ */
+function readOdsText(xml) {
+  // Comments attached to the cell hold paragraphs of their own
+  const content = xml.replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '');
+  return [...content.matchAll(/<text:p\b[^>]*>([\s\S]*?)<\/text:p>|<text:p\b[^>]*\/>/g)]
+    .map(match => decodeXml((match[1] || '')
+      .replace(/<text:s\b([^>]*)\/>/g, (tag, attributes) => ' '.repeat(parseInt(parseXmlAttributes(attributes)['text:c'], 10) || 1))
+      .replace(/<text:tab\b[^>]*\/>/g, '\t')
+      .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+      .replace(/<[^>]+>/g, '')))
+    .join('\n');
+}
+
+/**
+ * Read the cell grid (array of rows of strings) of one sheet of an .ods workbook
+ * Rows without values and empty cells after a row's last value are left out: ODS pads each sheet
+ * to its full size with repeated empty cells and rows
+ */
+function readOds(entries, wantedSheet) {
+  const contentXml = readEntry(entries, 'content.xml');
+  if (!contentXml) {
+    throw new Error('Not a valid .ods workbook (content.xml missing)');
+  }
+  const sheets = [...contentXml.matchAll(/<table:table\b([^>]*)>([\s\S]*?)<\/table:table>/g)].map(match => ({
+    name: parseXmlAttributes(match[1])['table:name'] || '',
+    xml: match[2],
+  }));
+  const sheet = pickSheet(sheets, wantedSheet);
+
+  const grid = [];
+  let cellCount = 0;
+  for (const rowMatch of sheet.xml.matchAll(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g)) {
+    const cells = [];
+    let emptyCells = 0;
+    const cellPattern = /<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g;
+    for (const cellMatch of (rowMatch[2] || '').matchAll(cellPattern)) {
+      const attributes = parseXmlAttributes(cellMatch[1]);
+      let value;
+      switch (attributes['office:value-type']) {
+        case 'float':
+        case 'percentage':
+        case 'currency':
+          value = formatNumber(attributes['office:value']);
+          break;
+        case 'date':
+          value = (attributes['office:date-value'] || '').replace('T', ' ').replace(/ 00:00:00$/, '');
+          break;
+        case 'boolean':
+          value = attributes['office:boolean-value'] === 'true' ? 'TRUE' : 'FALSE';
+          break;
+        default:
+          value = readOdsText(cellMatch[2] || '');
+      }
+      const repeat = Math.max(parseInt(attributes['table:number-columns-repeated'], 10) || 1, 1);
+      // Empty cells are only added once a value follows them
+      if (value === '') {
+        emptyCells += repeat;
+        continue;
+      }
+      checkColumn(sheet, cells.length + emptyCells + repeat - 1);
+      for (let i = 0; i < emptyCells; i++) cells.push('');
+      for (let i = 0; i < repeat; i++) cells.push(value);
+      emptyCells = 0;
+    }
+    if (cells.length === 0) continue;
+
+    const repeatRows = Math.max(parseInt(parseXmlAttributes(rowMatch[1])['table:number-rows-repeated'], 10) || 1, 1);
+    cellCount += cells.length * repeatRows;
+    checkSheetSize(sheet, grid.length + repeatRows, cellCount);
+    for (let i = 0; i < repeatRows; i++) grid.push([...cells]);
+  }
+  return grid;
+}
+
+/**
+ * Load one sheet of an .xlsx or .ods workbook as row objects keyed by the header row,
+ * the same shape csv-parser produces: every header is a key, values are strings, empty rows are skipped
+ * options.sheet: sheet name or 1-based position (default: the first sheet)
+ */
+export function loadSpreadsheet(filePath, options = {}) {
+  const entries = readZip(fs.readFileSync(filePath));
+  const grid = path.extname(filePath).toLowerCase() === '.ods'
+    ? readOds(entries, options.sheet)
+    : readXlsx(entries, options.sheet);
+
+  const rows = grid.filter(row => row.some(cell => String(cell).trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => String(header).trim());
+  return rows.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header) row[header] = cells[index] ?? '';
+    });
+    return row;
+  });
+}
@@ -0,0 +1,139 @@
+import { normalizeTitle } from './post-index.js';
+
+// Separates the levels of a hierarchical term path: "Recipes > Brunch"
+const PATH_SEPARATOR = '>';
+
+/**
+ * Singular label of a taxonomy for log and plan messages
+ */
+function getTermLabel(taxonomy) {
+  if (taxonomy === 'categories') return 'category';
+  if (taxonomy === 'tags') return 'tag';
+  return `${taxonomy} term`;
+}
+
+/**
+ * Split a term path into its level names
+ */
+export function splitTermPath(path) {
+  return path.split(PATH_SEPARATOR).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Find a term by name
+ * With a parent ID (0 = top level) only that parent's children match. Without one, any term matches,
+ * but only if the name is unique in the taxonomy.
+ */
+async function findTerm(name, taxonomy, apiInstance, parent = null) {
+  // WordPress stores "&" in term names as "&amp;", and the search runs against the stored name
+  const params = { search: name.replace(/&(?!amp;)/g, '&amp;'), per_page: 100 };
+  if (parent !== null) {
+    params.parent = parent;
+  }
+  const response = await apiInstance.get(`/${taxonomy}`, { params });
+
+  // Term names come back HTML-encoded ("Food &amp; Drink"); WordPress compares them case-insensitively
+  const key = normalizeTitle(name);
+  const matches = (response.data || []).filter(term => normalizeTitle(term.name) === key);
+  if (parent === null && matches.length > 1) return null;
+  return matches[0] || null;
+}
+
+/**
+ * Get or create a taxonomy term (category, tag or custom taxonomy)
+ * options.parent: for hierarchical taxonomies, match and create the term under this parent ID (0 = top level)
+ * In dry-run mode, missing terms are recorded in options.plan instead of being created
+ */
+export async function getOrCreateTerm(name, taxonomy, apiInstance, options = {}) {
+  if (!name || !name.trim()) return null;
+
+  const trimmedName = name.trim();
+  const parent = options.parent ?? null;
+  const label = options.label || trimmedName;
+
+  try {
+    const existing = await findTerm(trimmedName, taxonomy, apiInstance, parent);
+    if (existing) {
+      return existing.id;
+    }
+
+    if (options.dryRun) {
+      options.plan?.push(`would create ${getTermLabel(taxonomy)} "${label}"`);
+      return null;
+    }
+
+    const termData = { name: trimmedName };
+    if (parent) {
+      termData.parent = parent;
+    }
+    try {
+      const createResponse = await apiInstance.post(`/${taxonomy}`, termData);
+      return createResponse.data.id;
+    } catch (error) {
+      // Another row created it in the meantime; WordPress reports the existing term's ID
+      const existingId = error.response?.data?.code === 'term_exists' && error.response.data.data?.term_id;
+      if (existingId) return existingId;
+      throw error;
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to get/create ${getTermLabel(taxonomy)} "${label}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve a term path ("Recipes > Brunch") level by level, each under the previous level's ID
+ * Returns the ID of the last level, or null
+ * A single name without a separator also matches an existing child term when that name is unique
+ */
+export async function resolveTermPath(path, taxonomy, apiInstance, options = {}) {
+  const names = splitTermPath(path);
+  if (names.length === 0) return null;
+
+  if (names.length === 1) {
+    // Top level first, then a uniquely named term anywhere, then create it at the top level
+    const topLevel = await findTerm(names[0], taxonomy, apiInstance, 0).catch(() => null);
+    if (topLevel) return topLevel.id;
+    return getOrCreateTerm(names[0], taxonomy, apiInstance, { ...options, parent: null });
+  }
+
+  let parent = 0;
+  for (let level = 0; level < names.length; level++) {
+    const label = names.slice(0, level + 1).join(` ${PATH_SEPARATOR} `);
+    const id = await getOrCreateTerm(names[level], taxonomy, apiInstance, { ...options, parent, label });
+    if (!id) {
+      if (options.dryRun) {
+        // The missing level would be created, and every level below it with it
+        for (let rest = level + 1; rest < names.length; rest++) {
+          options.plan?.push(`would create ${getTermLabel(taxonomy)} "${names.slice(0, rest + 1).join(` ${PATH_SEPARATOR} `)}"`);
+        }
+      }
+      return null;
+    }
+    parent = id;
+  }
+  return parent;
+}
+
+/**
+ * Resolve multiple terms from a comma-separated string
+ * options.hierarchical (default: true for categories) reads each entry as a path ("Recipes > Brunch")
+ */
+export async function resolveTerms(termString, taxonomy, apiInstance, options = {}) {
+  if (!termString || !termString.trim()) return [];
+
+  const hierarchical = options.hierarchical ?? taxonomy === 'categories';
+  const entries = termString.split(',').map(n => n.trim()).filter(Boolean);
+  const termIds = [];
+
+  for (const entry of entries) {
+    const id = hierarchical
+      ? await resolveTermPath(entry, taxonomy, apiInstance, options)
+      : await getOrCreateTerm(entry, taxonomy, apiInstance, options);
+    if (id) {
+      termIds.push(id);
+    }
+  }
+
+  return termIds;
+}
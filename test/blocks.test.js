@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convertToBlocks } from '../blocks.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'blocks');
+
+/**
+ * Read a fixture file without its final newline
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(fixtures, name), 'utf-8').replace(/\n$/, '');
+}
+
+// expected.html is what the block editor saves for the same content, so posts open without block recovery
+test('converted blocks match the block editor\'s saved markup', () => {
+  assert.equal(convertToBlocks(readFixture('input.html')), readFixture('expected.html'));
+});
+
+test('markup that is no core block is left as Classic content', () => {
+  assert.equal(convertToBlocks('<h2 id="top">Hi</h2>\n<p>Text</p>'),
+    '<h2 id="top">Hi</h2>\n\n<!-- wp:paragraph -->\n<p>Text</p>\n<!-- /wp:paragraph -->');
+});
@@ -0,0 +1,34 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadInput } from '../input-files.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-uploader-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('a CSV file is read and renamed by the column profile', async () => {
+  const filePath = path.join(tempDir, 'feed.csv');
+  fs.writeFileSync(filePath, 'Post Title,status\nHello,draft\n');
+  const columnProfile = { columns: [{ column: 'title', from: ['Post Title'], join: ' ' }], dropUnmapped: false };
+
+  assert.deepEqual(await loadInput(filePath, { columnProfile }), {
+    rows: [{ title: 'Hello', status: 'draft' }],
+    imageFolder: null,
+  });
+});
+
+test('a Markdown folder is its own image folder', async () => {
+  const folder = path.join(tempDir, 'posts');
+  fs.mkdirSync(folder);
+  fs.writeFileSync(path.join(folder, 'hello.md'), '---\ntitle: Hello\n---\nBody\n');
+
+  const { rows, imageFolder } = await loadInput(folder);
+  assert.equal(rows[0].title, 'Hello');
+  assert.equal(imageFolder, folder);
+});
+
+test('a missing input fails with its full path', async () => {
+  await assert.rejects(loadInput(path.join(tempDir, 'none.csv')), /^Error: CSV file not found: .*none\.csv$/);
+});
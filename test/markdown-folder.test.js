@@ -0,0 +1,70 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFrontMatter, loadMarkdownFolder } from '../markdown-folder.js';
+import { findExternalImages, getLocalImagePath } from '../inline-images.js';
+
+const tempFolders = [];
+after(() => tempFolders.forEach(folder => fs.rmSync(folder, { recursive: true, force: true })));
+
+/**
+ * Write files ({ relative path: content }) into a new temporary folder and return its path
+ */
+function writeFolder(files) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-uploader-'));
+  tempFolders.push(folder);
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+    fs.writeFileSync(path.join(folder, name), content);
+  }
+  return folder;
+}
+
+test('front matter keeps numbers and booleans as written', () => {
+  assert.deepEqual(parseFrontMatter('version: 1.10\nsticky: TRUE\ndate: 2024-05-01\nalt: ~\n'), {
+    version: '1.10',
+    sticky: 'TRUE',
+    date: '2024-05-01',
+    alt: null,
+  });
+});
+
+test('front matter reads lists, nested maps and text blocks', () => {
+  const yaml = 'tags: [avocado, "toast, rye"]\ncategories:\n  - Recipes > Brunch\nacf:\n  rating: 5\nexcerpt: |\n  Line one\n  Line two\n';
+  assert.deepEqual(parseFrontMatter(yaml), {
+    tags: ['avocado', 'toast, rye'],
+    categories: ['Recipes > Brunch'],
+    acf: { rating: '5' },
+    excerpt: 'Line one\nLine two\n',
+  });
+});
+
+test('invalid front matter fails with its line number', () => {
+  assert.throws(() => parseFrontMatter('title: A\nslug: a: b\nstatus: draft\n'), /^Error: Front matter line 2: /);
+  assert.throws(() => parseFrontMatter('- a\n- b\n'), /must be "key: value" lines/);
+});
+
+test('relative body images are resolved against the file\'s folder', () => {
+  const folder = writeFolder({
+    'posts/toast.md': '---\ntitle: Toast\n---\n![Toast](img/toast.png "Crispy") <img src="img/toast.png">\n'
+      + '![Missing](img/none.png) ![Remote](https://example.com/a.png) ![Site](/wp-content/a.png)\n\n`![Code](img/toast.png)`\n',
+    'posts/img/toast.png': 'png',
+  });
+  const imagePath = path.join(folder, 'posts', 'img', 'toast.png');
+
+  const [row] = loadMarkdownFolder(folder);
+  assert.equal(row.content, `![Toast](${imagePath} "Crispy") <img src="${imagePath}">\n`
+    + '![Missing](img/none.png) ![Remote](https://example.com/a.png) ![Site](/wp-content/a.png)\n\n`![Code](img/toast.png)`');
+});
+
+test('only local images inside the imported folder are uploaded', () => {
+  const folder = writeFolder({ 'img/a b.png': 'png' });
+  const html = `<img src="${folder}/img/a%20b.png"><img src="/wp-content/x.png"><img src="https://example.com/y.png">`;
+
+  assert.equal(getLocalImagePath(`${folder}/img/a%20b.png`, folder), path.join(folder, 'img', 'a b.png'));
+  assert.equal(getLocalImagePath(`${folder}/img/a%20b.png`, null), null);
+  assert.deepEqual(findExternalImages(html, 'https://site.test', { external: false, imageFolder: folder }), [`${folder}/img/a%20b.png`]);
+  assert.deepEqual(findExternalImages(html, 'https://site.test'), ['https://example.com/y.png']);
+});
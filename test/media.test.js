@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { uploadMedia } from '../media.js';
+import { openMediaCache } from '../media-cache.js';
+
+/**
+ * Minimal API client answering POST /media with a new attachment; counts the uploads
+ */
+function createMediaApi() {
+  const api = {
+    uploads: 0,
+    async post(url) {
+      assert.equal(url, '/media');
+      api.uploads++;
+      // Let concurrent callers pile up on the shared upload
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { data: { id: 98 + api.uploads, source_url: `https://site.test/uploads/${api.uploads}.png` } };
+    },
+  };
+  return api;
+}
+
+/**
+ * Media map of a site no run has used, so nothing is remembered yet (never written to disk)
+ */
+function openEmptyMediaCache() {
+  return openMediaCache(`test-${process.pid}-${Math.random()}`, 'https://site.test', { readOnly: true });
+}
+
+test('rows sharing an image URL upload it once and the others reuse it', async (t) => {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'image/png' });
+    response.end('png bytes');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/toast.png`;
+
+  const api = createMediaApi();
+  const mediaCache = openEmptyMediaCache();
+  const results = await Promise.all([1, 2, 3].map(() => uploadMedia(url, api, null, { mediaCache })));
+
+  assert.equal(api.uploads, 1);
+  assert.deepEqual(results.map(media => media.id), [99, 99, 99]);
+  assert.deepEqual(results.map(media => Boolean(media.reused)), [false, true, true]);
+});
+
+test('identical files under different paths upload once', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-uploader-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'a.png'), 'png bytes');
+  fs.writeFileSync(path.join(folder, 'b.png'), 'png bytes');
+
+  const api = createMediaApi();
+  const mediaCache = openEmptyMediaCache();
+  const results = await Promise.all(['a.png', 'b.png'].map(name => uploadMedia(path.join(folder, name), api, null, { mediaCache })));
+
+  assert.equal(api.uploads, 1);
+  assert.deepEqual(results.map(media => Boolean(media.reused)), [false, true]);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createParentResolver, splitPagePath } from '../page-parents.js';
+
+const PAGE_TYPE = { slug: 'page', restBase: 'pages', hierarchical: true };
+
+/**
+ * Minimal API client answering GET /pages?slug&parent from a list of { id, slug, parent }
+ */
+function createPagesApi(pages) {
+  const requests = [];
+  return {
+    requests,
+    async get(url, { params }) {
+      requests.push({ url, params });
+      const data = pages.filter(page => page.slug === params.slug
+        && (params.parent === undefined || page.parent === params.parent));
+      return { data };
+    },
+  };
+}
+
+const pageTree = [
+  { title: 'About', slug: 'about', parent: '' },
+  { title: 'Team', slug: 'team', parent: 'about' },
+  { title: 'Jobs', slug: 'jobs', parent: 'about' },
+];
+
+test('splitPagePath reads slugs, paths and URLs', () => {
+  assert.deepEqual(splitPagePath('About/Team/'), ['about', 'team']);
+  assert.deepEqual(splitPagePath('https://example.com/about/team/'), ['about', 'team']);
+  assert.deepEqual(splitPagePath(''), []);
+});
+
+test('a child waits for the parent row of the same CSV', async () => {
+  const api = createPagesApi([]);
+  const parents = createParentResolver(api, { rows: pageTree, rowTypes: pageTree.map(() => PAGE_TYPE) });
+
+  const pending = parents.resolve('about', 2, PAGE_TYPE);
+  parents.settle(1, 42);
+  assert.equal(await pending, 42);
+  assert.equal(api.requests.length, 0);
+});
+
+test('a re-run finds the parent on the site when its row saved nothing', async () => {
+  const api = createPagesApi([{ id: 7, slug: 'about', parent: 0 }]);
+  const parents = createParentResolver(api, { rows: pageTree, rowTypes: pageTree.map(() => PAGE_TYPE) });
+
+  // Row 1 fails, e.g. because the page is already there
+  parents.settle(1, null);
+  assert.equal(await parents.resolve('about', 2, PAGE_TYPE), 7);
+  assert.equal(await parents.resolve('about', 3, PAGE_TYPE), 7);
+  // Both children share one lookup
+  assert.equal(api.requests.length, 1);
+});
+
+test('a failed parent row that is not on the site either fails the child', async () => {
+  const api = createPagesApi([]);
+  const parents = createParentResolver(api, { rows: pageTree, rowTypes: pageTree.map(() => PAGE_TYPE) });
+
+  parents.settle(1, null);
+  await assert.rejects(parents.resolve('about', 2, PAGE_TYPE), /row 1 failed and the site has no such page/);
+});
+
+test('a dry run plans parents that only the run would create', async () => {
+  const api = createPagesApi([]);
+  const parents = createParentResolver(api, { rows: pageTree, rowTypes: pageTree.map(() => PAGE_TYPE), dryRun: true });
+  const plan = [];
+
+  parents.settle(1, null);
+  assert.equal(await parents.resolve('about', 2, PAGE_TYPE, plan), null);
+  assert.deepEqual(plan, ['would set parent "about" (created by row 1)']);
+});
+
+test('a dry run of a re-run uses the page already on the site', async () => {
+  const api = createPagesApi([{ id: 7, slug: 'about', parent: 0 }]);
+  const parents = createParentResolver(api, { rows: pageTree, rowTypes: pageTree.map(() => PAGE_TYPE), dryRun: true });
+  const plan = [];
+
+  parents.settle(1, null);
+  assert.equal(await parents.resolve('about', 2, PAGE_TYPE, plan), 7);
+  assert.deepEqual(plan, []);
+});
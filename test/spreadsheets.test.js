@@ -0,0 +1,141 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { loadSpreadsheet, MAX_ENTRY_SIZE, MAX_COLUMNS } from '../spreadsheets.js';
+
+/**
+ * Build a zip archive from { name, content, size? } entries (deflated; size overrides the declared unpacked size)
+ */
+function buildZip(entries) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const raw = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content);
+    const data = zlib.deflateRawSync(raw);
+    const name = Buffer.from(entry.name);
+    const size = entry.size ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBuffer, end]);
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-uploader-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Write a workbook to the temporary folder and return its path
+ */
+function writeWorkbook(name, entries) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, buildZip(entries));
+  return filePath;
+}
+
+const workbook = '<workbook><sheets><sheet name="Posts" sheetId="1" r:id="rId1"/></sheets></workbook>';
+const workbookRels = '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>';
+const sheet = `<worksheet><sheetData>
+<row r="1"><c r="A1" t="inlineStr"><is><t>title</t></is></c><c r="B1" t="inlineStr"><is><t>content</t></is></c></row>
+<row r="2"><c r="A2" t="inlineStr"><is><t>Hello</t></is></c><c r="B2" t="inlineStr"><is><t>Line one
+Line two</t></is></c></row>
+</sheetData></worksheet>`;
+
+test('an .xlsx sheet is read into CSV-style rows', () => {
+  const filePath = writeWorkbook('posts.xlsx', [
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/worksheets/sheet1.xml', content: sheet },
+  ]);
+  assert.deepEqual(loadSpreadsheet(filePath), [{ title: 'Hello', content: 'Line one\nLine two' }]);
+});
+
+test('an entry declaring a huge unpacked size is refused before inflating', () => {
+  const filePath = writeWorkbook('bomb.xlsx', [
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/worksheets/sheet1.xml', content: sheet, size: MAX_ENTRY_SIZE + 1 },
+  ]);
+  assert.throws(() => loadSpreadsheet(filePath), /is too large/);
+});
+
+test('an entry that unpacks past the limit is refused even when its declared size is small', () => {
+  const filePath = writeWorkbook('bomb.ods', [
+    { name: 'content.xml', content: Buffer.alloc(MAX_ENTRY_SIZE + 1, ' '), size: 100 },
+  ]);
+  assert.throws(() => loadSpreadsheet(filePath), /is too large/);
+});
+
+/**
+ * Wrap table rows into the content.xml of an .ods workbook
+ */
+function odsContent(rows) {
+  return `<office:document-content><office:body><office:spreadsheet><table:table table:name="Posts">${rows}</table:table></office:spreadsheet></office:body></office:document-content>`;
+}
+
+const odsCell = text => `<table:table-cell office:value-type="string"><text:p>${text}</text:p></table:table-cell>`;
+
+test('repeated empty ODS cells and rows padding the sheet are skipped', () => {
+  const padding = '<table:table-cell table:number-columns-repeated="16380"/>';
+  const filePath = writeWorkbook('padded.ods', [{
+    name: 'content.xml',
+    content: odsContent(`<table:table-row>${odsCell('title')}${padding}</table:table-row>`
+      + `<table:table-row>${odsCell('Hello')}${padding}</table:table-row>`
+      + `<table:table-row table:number-rows-repeated="1048574">${padding}</table:table-row>`),
+  }]);
+  assert.deepEqual(loadSpreadsheet(filePath), [{ title: 'Hello' }]);
+});
+
+test('repeated ODS cells that expand past the limits fail the load', () => {
+  const wide = `<table:table-row><table:table-cell office:value-type="string" table:number-columns-repeated="${MAX_COLUMNS + 1}"><text:p>x</text:p></table:table-cell></table:table-row>`;
+  assert.throws(() => loadSpreadsheet(writeWorkbook('wide.ods', [{ name: 'content.xml', content: odsContent(wide) }])),
+    /is too large: it has values beyond column/);
+
+  const cells = `<table:table-cell office:value-type="string" table:number-columns-repeated="1024"><text:p>x</text:p></table:table-cell>`;
+  const tall = `<table:table-row table:number-rows-repeated="10000">${cells}</table:table-row>`.repeat(4);
+  assert.throws(() => loadSpreadsheet(writeWorkbook('tall.ods', [{ name: 'content.xml', content: odsContent(tall) }])),
+    /is too large: more than \d+ cells/);
+});
+
+test('far-off .xlsx cells do not expand the sheet', () => {
+  const sheetWith = rows => [
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/worksheets/sheet1.xml', content: `<worksheet><sheetData>${rows}</sheetData></worksheet>` },
+  ];
+  const cell = (reference, text) => `<c r="${reference}" t="inlineStr"><is><t>${text}</t></is></c>`;
+
+  // A value in the last row of the sheet is just the next row
+  const farRow = writeWorkbook('far-row.xlsx', sheetWith(`<row r="1">${cell('A1', 'title')}</row><row r="1048576">${cell('A1048576', 'Last')}</row>`));
+  assert.deepEqual(loadSpreadsheet(farRow), [{ title: 'Last' }]);
+
+  const farColumn = writeWorkbook('far-column.xlsx', sheetWith(`<row r="1">${cell('A1', 'title')}${cell('XFD1', 'x')}</row>`));
+  assert.throws(() => loadSpreadsheet(farColumn), /is too large: it has values beyond column/);
+});
@@ -0,0 +1,301 @@
+import fs from 'fs';
+import path from 'path';
+import { decodeXml } from './spreadsheets.js';
+import { slugify } from './page-parents.js';
+import { TAXONOMY_COLUMN_PREFIX } from './post-types.js';
+import { alignColumns } from './json-rows.js';
+
+// WordPress export (WXR) files, as written by Tools > Export
+export const WXR_EXTENSIONS = ['.xml', '.wxr'];
+
+// Post types an export carries besides content: menus, revisions, theme and editor data
+const SKIPPED_POST_TYPES = ['attachment', 'nav_menu_item', 'revision', 'custom_css', 'customize_changeset', 'oembed_cache', 'user_request'];
+// Statuses there is nothing to import for
+const SKIPPED_STATUSES = ['auto-draft', 'trash', 'inherit'];
+// Date WordPress writes for posts that have none yet
+const EMPTY_DATE = '0000-00-00 00:00:00';
+
+// Attachment fields and the featured_image_* columns they fill
+const ATTACHMENT_DETAIL_COLUMNS = {
+  alt: 'featured_image_alt',
+  caption: 'featured_image_caption',
+  title: 'featured_image_title',
+  description: 'featured_image_description',
+};
+
+/**
+ * Check whether a file is a WordPress export (by extension)
+ */
+export function isWxrFile(filePath) {
+  return WXR_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Create the reader of an export's XML
+ * CDATA sections are swapped for placeholders first, so post content holding markup
+ * (or "</item>") cannot be mistaken for elements of the export
+ */
+function createXmlReader(text) {
+  const sections = [];
+  const xml = text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => {
+    sections.push(content);
+    return `\u0000${sections.length - 1}\u0000`;
+  });
+
+  // Text of an element's content: entities decoded, CDATA restored as it was
+  const textOf = (inner) => inner
+    .split(/\u0000(\d+)\u0000/)
+    .map((part, index) => (index % 2 === 1 ? sections[Number(part)] : decodeXml(part)))
+    .join('');
+
+  // Every <tag> element directly in the fragment as { attributes, inner }
+  const elements = (fragment, tag) => {
+    const pattern = new RegExp(`<${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    return [...fragment.matchAll(pattern)].map(match => ({
+      attributes: Object.fromEntries(
+        [...(match[1] || '').matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)].map(([, name, value]) => [name, decodeXml(value)])
+      ),
+      inner: match[2] || '',
+    }));
+  };
+
+  return {
+    xml,
+    elements,
+    /**
+     * Text of the first <tag> in the fragment ('' when there is none)
+     */
+    text(fragment, tag) {
+      const [element] = elements(fragment, tag);
+      return element ? textOf(element.inner).trim() : '';
+    },
+    textOf,
+  };
+}
+
+/**
+ * Check whether a meta value is PHP-serialized (arrays and objects of plugins); such values cannot be sent as text
+ */
+function isSerialized(value) {
+  return /^(?:[aOC]:\d+:|s:\d+:"|[bid]:[^;]*;$|N;$)/.test(value);
+}
+
+/**
+ * Read the terms an export defines into taxonomy -> slug -> { name, parent }, so term paths can be rebuilt
+ * Term names are exported as WordPress stores them, HTML-encoded ("Food &amp; Drink"), and are decoded here
+ */
+function readTermTree(reader) {
+  const tree = {};
+  const add = (taxonomy, slug, name, parent) => {
+    if (!taxonomy || !slug) return;
+    tree[taxonomy] ??= {};
+    tree[taxonomy][slug] = { name, parent };
+  };
+
+  for (const { inner } of reader.elements(reader.xml, 'wp:category')) {
+    add('category', reader.text(inner, 'wp:category_nicename'), decodeXml(reader.text(inner, 'wp:cat_name')), reader.text(inner, 'wp:category_parent'));
+  }
+  for (const { inner } of reader.elements(reader.xml, 'wp:term')) {
+    add(reader.text(inner, 'wp:term_taxonomy'), reader.text(inner, 'wp:term_slug'), decodeXml(reader.text(inner, 'wp:term_name')), reader.text(inner, 'wp:term_parent'));
+  }
+  return tree;
+}
+
+/**
+ * Build a term's path from the top level ("Recipes > Brunch") out of the export's term tree
+ */
+function termPath(tree, taxonomy, slug, name) {
+  const names = [name];
+  const seen = new Set([slug]);
+  let parent = tree[taxonomy]?.[slug]?.parent;
+  while (parent && !seen.has(parent) && tree[taxonomy]?.[parent]) {
+    seen.add(parent);
+    names.unshift(tree[taxonomy][parent].name);
+    parent = tree[taxonomy][parent].parent;
+  }
+  return names.join(' > ');
+}
+
+/**
+ * Read one <item> into { id, postType, parentId, title, status, slug, xml, meta }
+ */
+function readItem(reader, itemXml) {
+  // Comments carry their own meta elements; they are not imported
+  const xml = itemXml.replace(/<wp:comment(\s[^>]*)?>[\s\S]*?<\/wp:comment>/g, '');
+  const meta = {};
+  for (const { inner } of reader.elements(xml, 'wp:postmeta')) {
+    const key = reader.text(inner, 'wp:meta_key');
+    if (key) meta[key] = reader.text(inner, 'wp:meta_value');
+  }
+
+  return {
+    id: reader.text(xml, 'wp:post_id'),
+    postType: reader.text(xml, 'wp:post_type') || 'post',
+    parentId: reader.text(xml, 'wp:post_parent'),
+    title: reader.text(xml, 'title'),
+    status: reader.text(xml, 'wp:status'),
+    slug: reader.text(xml, 'wp:post_name'),
+    xml,
+    meta,
+  };
+}
+
+/**
+ * Map an item's terms onto categories, tags, tax:<taxonomy> and format
+ */
+function readItemTerms(reader, item, tree, label) {
+  const columns = {};
+  const lists = {};
+  for (const { attributes, inner } of reader.elements(item.xml, 'category')) {
+    const taxonomy = attributes.domain;
+    const slug = attributes.nicename || '';
+    const name = decodeXml(reader.textOf(inner).trim());
+    if (!taxonomy || !name) continue;
+
+    if (taxonomy === 'post_format') {
+      columns.format = slug.replace(/^post-format-/, '');
+      continue;
+    }
+    // The cell is split on commas again when the terms are resolved
+    if (name.includes(',')) {
+      throw new Error(`${label}: term "${name}" contains a comma, which term names cannot have`);
+    }
+    const column = { category: 'categories', post_tag: 'tags' }[taxonomy] || `${TAXONOMY_COLUMN_PREFIX}${taxonomy}`;
+    lists[column] ??= [];
+    lists[column].push(termPath(tree, taxonomy, slug, name));
+  }
+
+  for (const [column, entries] of Object.entries(lists)) {
+    columns[column] = [...new Set(entries)].join(', ');
+  }
+  return columns;
+}
+
+/**
+ * Split an item's post meta into meta_json and acf_json
+ * Keys starting with "_" are protected and cannot be written over the REST API; an ACF field
+ * is a key whose "_<key>" sibling holds its field key ("field_...")
+ */
+function readItemMeta(item) {
+  const meta = {};
+  const acf = {};
+  for (const [key, value] of Object.entries(item.meta)) {
+    if (key.startsWith('_') || isSerialized(value)) continue;
+    if (item.meta[`_${key}`]?.startsWith('field_')) {
+      acf[key] = value;
+    } else {
+      meta[key] = value;
+    }
+  }
+
+  const columns = {};
+  if (Object.keys(meta).length > 0) columns.meta_json = JSON.stringify(meta);
+  if (Object.keys(acf).length > 0) columns.acf_json = JSON.stringify(acf);
+  return columns;
+}
+
+/**
+ * Load the posts, pages and custom post type items of a WXR export as CSV-style rows
+ * Attachments are not rows of their own: they fill featured_image_url (and its details) of the posts
+ * that use them, so the image is downloaded from the source site and uploaded again. Terms are given
+ * by path so their hierarchy is recreated, and a page's parent by its path in the export, with
+ * parents moved ahead of their children. Comments, menus and protected meta are not imported.
+ */
+export function loadWxrRows(filePath) {
+  const reader = createXmlReader(fs.readFileSync(filePath, 'utf-8'));
+  if (!/<rss[\s>]/.test(reader.xml) || !reader.xml.includes('wordpress.org/export/')) {
+    throw new Error('Not a WordPress export file (WXR)');
+  }
+
+  const tree = readTermTree(reader);
+  const authorEmails = new Map(reader.elements(reader.xml, 'wp:author').map(({ inner }) => [
+    reader.text(inner, 'wp:author_login'),
+    reader.text(inner, 'wp:author_email'),
+  ]));
+
+  const items = reader.elements(reader.xml, 'item').map(({ inner }) => readItem(reader, inner));
+  const attachments = new Map(items.filter(item => item.postType === 'attachment').map(item => [item.id, item]));
+  const posts = items.filter(item => !SKIPPED_POST_TYPES.includes(item.postType)
+    && !item.postType.startsWith('wp_')
+    && !SKIPPED_STATUSES.includes(item.status));
+  const postsById = new Map(posts.map(item => [item.id, item]));
+
+  // A child's parent is the item of the same type it names; its path runs through every ancestor
+  const parentOf = (item) => {
+    const parent = item.postType !== 'post' && item.parentId !== '0' ? postsById.get(item.parentId) : null;
+    return parent?.postType === item.postType ? parent : null;
+  };
+  const ancestors = (item) => {
+    const chain = [];
+    for (let parent = parentOf(item); parent && !chain.includes(parent) && parent !== item; parent = parentOf(parent)) {
+      chain.unshift(parent);
+    }
+    return chain;
+  };
+
+  const rows = posts.map((item, index) => {
+    const label = `Item ${index + 1} ("${item.title}")`;
+    const xml = item.xml;
+    const row = {
+      title: item.title,
+      content: reader.text(xml, 'content:encoded'),
+      excerpt: reader.text(xml, 'excerpt:encoded'),
+      status: item.status,
+      slug: item.slug,
+      post_type: item.postType,
+    };
+
+    const dateGmt = reader.text(xml, 'wp:post_date_gmt');
+    const date = reader.text(xml, 'wp:post_date');
+    if (dateGmt && dateGmt !== EMPTY_DATE) {
+      row.date_gmt = dateGmt;
+    } else if (date && date !== EMPTY_DATE) {
+      row.date = date;
+    }
+
+    // Email first, so --create-authors can create the user on the target site
+    const login = reader.text(xml, 'dc:creator');
+    if (login) row.author = authorEmails.get(login) || login;
+
+    Object.assign(row, readItemTerms(reader, item, tree, label));
+
+    const chain = ancestors(item);
+    if (chain.length > 0) {
+      row.parent = chain.map(parent => parent.slug || slugify(parent.title)).join('/');
+    }
+    const menuOrder = reader.text(xml, 'wp:menu_order');
+    if (menuOrder && menuOrder !== '0') row.menu_order = menuOrder;
+    const template = item.meta._wp_page_template;
+    if (template && template !== 'default') row.template = template;
+
+    if (reader.text(xml, 'wp:is_sticky') === '1') row.sticky = 'yes';
+    row.comment_status = reader.text(xml, 'wp:comment_status');
+    row.ping_status = reader.text(xml, 'wp:ping_status');
+    row.password = reader.text(xml, 'wp:post_password');
+
+    const image = attachments.get(item.meta._thumbnail_id);
+    const imageUrl = image && reader.text(image.xml, 'wp:attachment_url');
+    if (imageUrl) {
+      row.featured_image_url = imageUrl;
+      const details = {
+        alt: image.meta._wp_attachment_image_alt,
+        caption: reader.text(image.xml, 'excerpt:encoded'),
+        title: image.title,
+        description: reader.text(image.xml, 'content:encoded'),
+      };
+      for (const [field, column] of Object.entries(ATTACHMENT_DETAIL_COLUMNS)) {
+        if (details[field]) row[column] = details[field];
+      }
+    }
+
+    Object.assign(row, readItemMeta(item));
+    return { row, depth: chain.length };
+  });
+
+  // Stable sort: parents come before their children, everything else keeps the export's order
+  const ordered = rows.map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => a.depth - b.depth || a.index - b.index)
+    .map(entry => entry.row);
+
+  return alignColumns(ordered);
+}